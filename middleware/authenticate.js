@@ -1,20 +1,22 @@
 // backend/middleware/authenticate.js
 
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/tokens');
 
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1]; // Extract the token from the Authorization header
-  console.log('Token:', token); // Log the token to verify it
 
   if (!token) {
     return res.status(401).json({ error: 'Access denied. No token provided.' });
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET); // Verify the token using your secret
+    const decoded = await verifyAccessToken(token); // Verify the token and that it hasn't been revoked
     req.user = decoded; // Attach the decoded user to the request object
     next(); // Proceed to the next middleware or route handler
   } catch (err) {
+    if (err.status === 403) {
+      return res.status(403).json({ error: err.message }); // Banned or deactivated account
+    }
     res.status(400).json({ error: 'Invalid token.' });
   }
 };
@@ -0,0 +1,78 @@
+// backend/middleware/chatAccess.js
+
+const mongoose = require('mongoose');
+const Chat = require('../models/chat');
+const User = require('../models/user');
+const { isBlockedBetween } = require('../services/blocks');
+
+// True when both users still have each other in their matches
+const areMatched = async (userId, otherUserId) => {
+  const count = await User.countDocuments({
+    $or: [
+      { _id: userId, matches: otherUserId },
+      { _id: otherUserId, matches: userId },
+    ],
+  });
+
+  return count === 2;
+};
+
+// A chat can be written to while it isn't archived and every pair of participants is still matched
+const isChatWritable = async (chat) => {
+  if (chat.archivedAt) return false;
+
+  const [first, ...others] = chat.participants;
+  const results = await Promise.all(others.map((id) => areMatched(first, id)));
+
+  return results.every(Boolean);
+};
+
+// Load :chatId into req.chat. 400 for a malformed ID, 404 if the chat doesn't exist,
+// 403 if the authenticated user is not one of its participants. Chats with a blocked user are
+// hidden, so they 404 as well
+const requireChatParticipant = async (req, res, next) => {
+  const { chatId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(chatId)) {
+    return res.status(400).json({ success: false, error: 'Invalid chat ID.' });
+  }
+
+  try {
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      return res.status(404).json({ success: false, error: 'Chat not found.' });
+    }
+
+    if (!chat.participants.some((id) => id.toString() === req.user.id)) {
+      return res.status(403).json({ success: false, error: 'You are not a participant in this chat.' });
+    }
+
+    const others = chat.participants.filter((id) => id.toString() !== req.user.id);
+    const blocked = await Promise.all(others.map((id) => isBlockedBetween(req.user.id, id)));
+    if (blocked.some(Boolean)) {
+      return res.status(404).json({ success: false, error: 'Chat not found.' });
+    }
+
+    req.chat = chat;
+    next();
+  } catch (err) {
+    console.error('Error loading chat:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Must run after requireChatParticipant. 403 once the participants are no longer matched
+const requireWritableChat = async (req, res, next) => {
+  try {
+    if (!(await isChatWritable(req.chat))) {
+      return res.status(403).json({ success: false, error: 'This chat is read-only.' });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Error checking chat access:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+module.exports = { areMatched, isChatWritable, requireChatParticipant, requireWritableChat };
@@ -0,0 +1,31 @@
+// backend/middleware/requireEntitlement.js
+
+const { getEntitlements, hasFeature } = require('../services/entitlements');
+
+// Load the user's entitlements into req.entitlements. Expects req.user (run after authenticate)
+const loadEntitlements = async (req, res, next) => {
+  try {
+    req.entitlements = await getEntitlements(req.user.id);
+    next();
+  } catch (err) {
+    console.error('Error loading entitlements:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Allow the request through only if the user's plan includes `feature`
+const requireEntitlement = (feature) => [
+  loadEntitlements,
+  (req, res, next) => {
+    if (!hasFeature(req.entitlements, feature)) {
+      return res.status(403).json({
+        error: 'Upgrade your plan to use this feature',
+        code: 'PREMIUM_REQUIRED',
+        feature,
+      });
+    }
+    next();
+  },
+];
+
+module.exports = { loadEntitlements, requireEntitlement };
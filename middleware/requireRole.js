@@ -0,0 +1,30 @@
+// backend/middleware/requireRole.js
+
+const User = require('../models/user');
+const authenticate = require('./authenticate');
+
+// Authenticate the request, then allow it through only if the user has one of the given roles.
+// The role is read from the database so promotions and demotions apply immediately
+const requireRole = (...roles) => [
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id, 'role');
+      if (!user) {
+        return res.status(401).json({ error: 'User not found.' });
+      }
+
+      if (!roles.includes(user.role)) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+      }
+
+      req.user.role = user.role;
+      next();
+    } catch (err) {
+      console.error('Error checking role:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+];
+
+module.exports = requireRole;
@@ -0,0 +1,30 @@
+// backend/middleware/uploadImage.js
+
+const multer = require('multer');
+const { MAX_IMAGE_BYTES } = require('../services/images');
+
+// Images are kept in memory; services/images validates and re-encodes them before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+});
+
+// Accept a single image in `fieldName` as req.file. Oversized or malformed uploads get a 400
+// instead of falling through to the default error handler
+const uploadImage = (fieldName) => (req, res, next) => {
+  upload.single(fieldName)(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const message =
+        err.code === 'LIMIT_FILE_SIZE'
+          ? `Images must be at most ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`
+          : 'Invalid image upload';
+      return res.status(400).json({ error: message });
+    }
+
+    next(err);
+  });
+};
+
+module.exports = uploadImage;
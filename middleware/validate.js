@@ -0,0 +1,198 @@
+// backend/middleware/validate.js
+
+const mongoose = require('mongoose');
+
+// Declarative request validation. A schema maps each allowed key to a rule:
+//
+//   type       'string' | 'number' | 'integer' | 'boolean' | 'date' | 'objectId' | 'array' | 'object'
+//   required   the key must be present (and not null)
+//   nullable   null is accepted (e.g. to clear a value)
+//   trim       trim strings before checking them
+//   transform  function applied to the value before it is checked (e.g. normalising case)
+//   enum       list of allowed values
+//   min, max   bounds for numbers and dates
+//   minLength, maxLength   bounds for strings and arrays
+//   pattern    RegExp strings must match
+//   items      rule for every element of an array
+//   fields     schema for the keys of an object (unknown keys are rejected)
+//   check      function (value, data) returning an error message, for anything else
+//   message    error message used instead of the generated one
+//
+// Keys not in the schema are rejected. Validated values (trimmed, transformed, dates parsed)
+// replace the originals on the request.
+
+const describe = (rule) => {
+  if (rule.type === 'objectId') return 'a valid ID';
+  if (rule.type === 'integer') return 'a whole number';
+  if (rule.type === 'array') return 'a list';
+  if (rule.type === 'date') return 'a valid date';
+  return `a ${rule.type}`;
+};
+
+// Query strings and route params arrive as strings
+const coerce = (value, rule) => {
+  if (typeof value !== 'string') return value;
+  if ((rule.type === 'number' || rule.type === 'integer') && value.trim() !== '' && !isNaN(value)) return Number(value);
+  if (rule.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+};
+
+const checkType = (value, rule) => {
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'date':
+      return value instanceof Date && !isNaN(value.getTime());
+    case 'objectId':
+      return typeof value === 'string' && mongoose.Types.ObjectId.isValid(value) && /^[a-f0-9]{24}$/i.test(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default:
+      return true;
+  }
+};
+
+// Check one value against its rule. Returns { value } or { errors: [{ field, message }] }
+const validateValue = (field, rawValue, rule, data, options) => {
+  const fail = (message) => ({ errors: [{ field, message: rule.message || message }] });
+
+  if (rawValue === null) {
+    return rule.nullable ? { value: null } : fail(`${field} cannot be null`);
+  }
+
+  let value = options.coerce ? coerce(rawValue, rule) : rawValue;
+  if (rule.type === 'date' && (typeof value === 'string' || typeof value === 'number')) value = new Date(value);
+  if (rule.trim && typeof value === 'string') value = value.trim();
+  if (rule.transform && value !== undefined) value = rule.transform(value);
+
+  if (!checkType(value, rule)) {
+    return fail(`${field} must be ${describe(rule)}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`${field} must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (rule.min !== undefined && value < rule.min) {
+    return fail(`${field} must be at least ${rule.min instanceof Date ? rule.min.toISOString() : rule.min}`);
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return fail(`${field} must be at most ${rule.max instanceof Date ? rule.max.toISOString() : rule.max}`);
+  }
+
+  const unit = rule.type === 'array' ? 'items' : 'characters';
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return fail(
+      rule.minLength === 1 ? `${field} cannot be empty` : `${field} must have at least ${rule.minLength} ${unit}`
+    );
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return fail(`${field} must have at most ${rule.maxLength} ${unit}`);
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return fail(`${field} is not in a valid format`);
+  }
+
+  if (rule.items) {
+    const errors = [];
+    const items = value.map((item, index) => {
+      const result = validateValue(`${field}[${index}]`, item, rule.items, data, options);
+      if (result.errors) errors.push(...result.errors);
+      return result.value;
+    });
+    if (errors.length) return { errors };
+    value = items;
+  }
+
+  if (rule.fields) {
+    const result = validateObject(value, rule.fields, options, `${field}.`);
+    if (result.errors) return result;
+    value = result.value;
+  }
+
+  if (rule.check) {
+    const message = rule.check(value, data);
+    if (message) return fail(message);
+  }
+
+  return { value };
+};
+
+// Validate every key of `data` against `schema`. Returns { value } or { errors }
+const validateObject = (data, schema, options = {}, prefix = '') => {
+  const errors = [];
+  const value = {};
+  const input = data || {};
+
+  Object.keys(input)
+    .filter((key) => !Object.prototype.hasOwnProperty.call(schema, key))
+    .forEach((key) => errors.push({ field: `${prefix}${key}`, message: `${prefix}${key} is not allowed` }));
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const field = `${prefix}${key}`;
+
+    if (input[key] === undefined) {
+      if (rule.required) errors.push({ field, message: `${field} is required` });
+      continue;
+    }
+
+    if (rule.required && input[key] === null) {
+      errors.push({ field, message: `${field} is required` });
+      continue;
+    }
+
+    const result = validateValue(field, input[key], rule, input, options);
+    if (result.errors) {
+      errors.push(...result.errors);
+    } else {
+      value[key] = result.value;
+    }
+  }
+
+  return errors.length ? { errors } : { value };
+};
+
+// Middleware validating req.params, req.query and/or req.body against their schemas.
+// Responds 400 with { error, fields: [{ field, message }] }; `extra` is merged into that
+// body so routers can keep their own response shape (e.g. { success: false })
+const validate = (schemas, extra = {}) => (req, res, next) => {
+  const fields = [];
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schemas[location]) continue;
+
+    const result = validateObject(req[location], schemas[location], { coerce: location !== 'body' });
+    if (result.errors) {
+      fields.push(...result.errors);
+    } else if (location === 'body') {
+      req.body = result.value;
+    } else {
+      Object.assign(req[location], result.value);
+    }
+  }
+
+  if (fields.length) {
+    return res.status(400).json({ ...extra, error: 'Invalid request', fields });
+  }
+
+  next();
+};
+
+// Rules shared between routes
+const rules = {
+  objectId: { type: 'objectId' },
+  email: { type: 'string', trim: true, maxLength: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'email must be a valid email address' },
+  password: { type: 'string', minLength: 6, maxLength: 128 },
+  deviceName: { type: 'string', trim: true, maxLength: 100 }, // Labels the session started by the request
+};
+
+module.exports = { validate, validateObject, rules };
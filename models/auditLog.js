@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Append-only record of an admin or moderator action
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    actorRole: { type: String, required: true },
+    action: { type: String, required: true },
+    targetUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    targetType: { type: String, default: null }, // e.g. 'Report', 'Chat'
+    targetId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+    ip: { type: String, default: '' },
+    // Privileged changes are logged as 'pending' before they run and settled afterwards, so a
+    // change is never made without an entry. Read-only views are logged once they succeed
+    outcome: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'succeeded' },
+    error: { type: String, default: '' },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ outcome: 1, createdAt: -1 });
+
+const SETTLE_FIELDS = ['outcome', 'error', 'completedAt'];
+
+// Entries can only ever be inserted. The one exception is settling a pending entry's outcome
+const rejectChange = function (next) {
+  const update = this.getUpdate ? this.getUpdate() : null;
+  // $setOnInsert is added by the timestamps option and has no effect without upsert
+  const settling =
+    this.op === 'updateOne' &&
+    !this.getOptions().upsert &&
+    this.getFilter().outcome === 'pending' &&
+    update &&
+    Object.keys(update).every((key) => key === '$set' || key === '$setOnInsert') &&
+    Object.keys(update.$set || {}).every((key) => SETTLE_FIELDS.includes(key));
+
+  if (settling) return next();
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Audit log entries are immutable'));
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+].forEach((operation) => auditLogSchema.pre(operation, rejectChange));
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
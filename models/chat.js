@@ -1,26 +1,77 @@
 const mongoose = require('mongoose');
+const Message = require('./message');
 
-const messageSchema = new mongoose.Schema({
-  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  content: { type: String, required: true, trim: true },
-  createdAt: { type: Date, default: Date.now },
-  readBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-});
+// Denormalized copy of the newest message, used for chat list previews
+const lastMessageSchema = new mongoose.Schema(
+  {
+    _id: { type: mongoose.Schema.Types.ObjectId },
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    content: { type: String },
+    createdAt: { type: Date },
+  },
+  { _id: false }
+);
 
 const chatSchema = new mongoose.Schema(
   {
     participants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }],
-    messages: [messageSchema],
+    lastMessage: { type: lastMessageSchema, default: null },
     lastMessageAt: { type: Date, default: Date.now },
+    // Unread message count per participant, keyed by user ID
+    unreadCounts: { type: Map, of: Number, default: {} },
+    archivedAt: { type: Date, default: null }, // Set when the participants unmatch
   },
   { timestamps: true }
 );
 
-// Update lastMessageAt when a new message is added
-chatSchema.methods.addMessage = async function (message) {
-  this.messages.push(message);
-  this.lastMessageAt = message.createdAt; // Update lastMessageAt when new message is added
-  await this.save();
+// Store a new message and update the chat's preview and the other participants' unread counters
+chatSchema.methods.addMessage = async function ({ sender, content }) {
+  const message = await Message.create({
+    chat: this._id,
+    sender,
+    content,
+    readBy: [sender], // Sender has read their own message
+  });
+
+  const increments = {};
+  this.participants
+    .filter((id) => id.toString() !== sender.toString())
+    .forEach((id) => {
+      increments[`unreadCounts.${id}`] = 1;
+    });
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: {
+        lastMessage: {
+          _id: message._id,
+          sender: message.sender,
+          content: message.content,
+          createdAt: message.createdAt,
+        },
+        lastMessageAt: message.createdAt,
+      },
+      $inc: increments,
+    }
+  );
+
+  return message;
+};
+
+// Recount a participant's unread messages from the Message collection and store the result
+chatSchema.methods.refreshUnreadCount = async function (userId) {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+
+  const unread = await Message.countDocuments({
+    chat: this._id,
+    sender: { $ne: userObjectId },
+    readBy: { $ne: userObjectId },
+  });
+
+  await this.constructor.updateOne({ _id: this._id }, { $set: { [`unreadCounts.${userId}`]: unread } });
+
+  return unread;
 };
 
 // Compound index to optimize queries based on participants and lastMessageAt
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a user's ranked discovery candidates, paged through with a cursor
+const deckSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    entries: [
+      {
+        _id: false,
+        candidate: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        score: { type: Number, required: true },
+        distance: { type: Number }, // Meters, when the deck was built from a location
+        recycled: { type: Boolean, default: false }, // A previously passed profile shown again
+      },
+    ],
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+deckSchema.index({ user: 1, createdAt: -1 });
+
+// Let MongoDB remove stale decks
+deckSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Deck', deckSchema);
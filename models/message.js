@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  chat: { type: mongoose.Schema.Types.ObjectId, ref: 'Chat', required: true },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  content: { type: String, required: true, trim: true },
+  createdAt: { type: Date, default: Date.now },
+  readBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+});
+
+// Cursor pagination walks a chat's messages by _id (ObjectIds increase with creation time)
+messageSchema.index({ chat: 1, _id: -1 });
+
+// Counting a user's unread messages in a chat
+messageSchema.index({ chat: 1, readBy: 1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['like', 'superLike', 'match', 'message'];
+
+// An entry in a user's in-app notification feed
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Recipient
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Who caused it
+  chat: { type: mongoose.Schema.Types.ObjectId, ref: 'Chat', default: null },
+  preview: { type: String, default: '' }, // Start of the message, for message notifications
+  count: { type: Number, default: 1 }, // Unread messages folded into one message notification
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Feed pages walk a user's notifications by _id, newest first
+notificationSchema.index({ user: 1, _id: -1 });
+
+// Unread count
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const REPORT_CATEGORIES = [
+  'spam',
+  'harassment',
+  'inappropriate_content',
+  'fake_profile',
+  'underage',
+  'scam',
+  'other',
+];
+
+// A user report awaiting moderation
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reported: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    category: { type: String, enum: REPORT_CATEGORIES, required: true },
+    details: { type: String, trim: true, maxlength: 1000, default: '' },
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+    status: {
+      type: String,
+      enum: ['open', 'reviewed', 'dismissed', 'actioned'],
+      default: 'open',
+    },
+  },
+  { timestamps: true }
+);
+
+// Moderation queue, newest first per status
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ reported: 1, reporter: 1 });
+
+reportSchema.statics.CATEGORIES = REPORT_CATEGORIES;
+
+module.exports = mongoose.model('Report', reportSchema);
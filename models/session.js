@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A logged-in device. Access tokens carry the session ID so they stop working once it is revoked
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true },
+    previousRefreshTokenHash: { type: String }, // Used to detect reuse of a rotated refresh token
+    deviceName: { type: String, trim: true, default: '' },
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A server-run spin of the wheel. Kept after resolution so outcomes can be audited
+const spinSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    candidates: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    winner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: {
+      type: String,
+      enum: ['pending', 'resolved', 'expired', 'failed'],
+      default: 'pending',
+    },
+    expiresAt: { type: Date, required: true },
+    resolvedAt: { type: Date, default: null },
+    failureReason: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+spinSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Spin', spinSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A user's paid plan for a period. Entitlements come from the active subscription that
+// hasn't expired yet; everyone else is on the free plan.
+// A purchase is recorded as 'pending' before the payment is taken and becomes 'active' (or
+// 'failed') afterwards, so a payment never goes unrecorded
+const subscriptionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    plan: { type: String, required: true }, // Key in services/entitlements PLANS
+    status: {
+      type: String,
+      enum: ['pending', 'active', 'canceled', 'expired', 'failed'],
+      default: 'pending', // 'canceled' subscriptions keep their entitlements until expiresAt
+    },
+    provider: { type: String, required: true }, // Payment provider that takes the payment
+    // The provider's ID for the payment, set once it has been taken
+    providerRef: {
+      type: String,
+      default: '',
+      required: function () {
+        return !['pending', 'failed'].includes(this.status);
+      },
+    },
+    idempotencyKey: { type: String, default: null }, // Client's Idempotency-Key for the purchase
+    failureReason: { type: String, default: '' },
+    startedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    canceledAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Current subscription lookup
+subscriptionSchema.index({ user: 1, status: 1, expiresAt: -1 });
+
+// One purchase in progress per user, and one purchase per idempotency key
+subscriptionSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+subscriptionSchema.index(
+  { user: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
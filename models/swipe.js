@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Every swipe a user makes, in order. Used for rewinds
+const swipeSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    target: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    direction: { type: String, enum: ['left', 'right', 'super'], required: true }, // 'super' is a super like
+    matched: { type: Boolean, default: false }, // The swipe created a match
+    quotaResetAt: { type: Date, default: null }, // End of the quota period the swipe was charged to; null if it was free
+    rewoundAt: { type: Date, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+swipeSchema.index({ user: 1, createdAt: -1 });
+
+// Who super liked a user
+swipeSchema.index({ target: 1, direction: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Swipe', swipeSchema);
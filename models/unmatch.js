@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Record of a user ending a match, kept for analytics and moderation
+const unmatchSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Who unmatched
+    target: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    chat: { type: mongoose.Schema.Types.ObjectId, ref: 'Chat', default: null },
+    reason: { type: String, trim: true, maxlength: 500, default: '' },
+  },
+  { timestamps: true }
+);
+
+unmatchSchema.index({ target: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Unmatch', unmatchSchema);
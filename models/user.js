@@ -1,5 +1,39 @@
 const mongoose = require('mongoose');  // <-- Import mongoose
 
+// A gallery photo. storageId identifies the stored images so they can be deleted with the photo
+const photoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  // Smaller sizes generated on upload; empty for photos uploaded before they existed
+  cardUrl: {
+    type: String,
+    default: '',
+  },
+  thumbnailUrl: {
+    type: String,
+    default: '',
+  },
+  blurredUrl: {
+    type: String,
+    default: '',
+  },
+  storageId: {
+    type: String,
+    default: null,
+  },
+  // The blurred preview is stored separately so its URL doesn't reveal the photo's
+  blurredStorageId: {
+    type: String,
+    default: null,
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const userSchema = new mongoose.Schema(
   {
     email: {
@@ -42,20 +76,106 @@ const userSchema = new mongoose.Schema(
     },
     profilePicture: {
       type: String,
-      default: '',
+      default: '', // URL of the primary (first) photo, kept for older clients
+    },
+    // Ordered photo gallery; the first photo is the primary one
+    photos: [photoSchema],
+    // Bumped on every gallery change so whole-gallery writes can detect concurrent changes
+    photosVersion: {
+      type: Number,
+      default: 0,
     },
     university: {
       type: String,
       trim: true,
       default: '',
     },
+    course: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    yearOfStudy: {
+      type: Number,
+      min: 1,
+      max: 7,
+    },
+    heightCm: {
+      type: Number,
+      min: 100,
+      max: 250,
+    },
+    languages: [{ type: String, trim: true }],
+    // Interest IDs from services/profileCatalog
+    interests: [{ type: String }],
+    // Up to three answered prompts from services/profileCatalog
+    prompts: [
+      {
+        _id: false,
+        promptId: { type: String, required: true },
+        answer: { type: String, trim: true, maxlength: 200, required: true },
+      },
+    ],
+    lifestyle: {
+      drinking: { type: String, enum: ['never', 'socially', 'often'] },
+      smoking: { type: String, enum: ['never', 'socially', 'often'] },
+      exercise: { type: String, enum: ['never', 'sometimes', 'often'] },
+    },
+    // Coarse GeoJSON location, rounded before it is stored. Never returned in discovery
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined,
+      },
+    },
+    locationUpdatedAt: {
+      type: Date,
+    },
+    // Who the user wants to see in discovery
+    discoveryPreferences: {
+      minAge: { type: Number, min: 18, max: 100 },
+      maxAge: { type: Number, min: 18, max: 100 },
+      sameUniversityOnly: { type: Boolean, default: false },
+      universities: [{ type: String, trim: true }], // Empty means any university
+      maxDistanceKm: { type: Number, min: 1, max: 500 },
+    },
+    // Remaining allowances; filled up to the configured daily amounts by services/quotas
     swipeLimit: {
       type: Number,
-      default: 10,
+      default: 0,
     },
     spinLimit: {
       type: Number,
-      default: 5,
+      default: 0,
+    },
+    rewindLimit: {
+      type: Number,
+      default: 0,
+    },
+    superLikeLimit: {
+      type: Number,
+      default: 0,
+    },
+    quotaResetAt: {
+      type: Date, // Next time swipeLimit/spinLimit refill; unset until the first refill
+    },
+    // Boosts bought with a plan, and when the current boost ends
+    boostCredits: {
+      type: Number,
+      default: 0,
+    },
+    boostedUntil: {
+      type: Date,
+      default: null,
+    },
+    timezone: {
+      type: String,
+      trim: true,
+      default: '', // IANA name (e.g. 'Asia/Kolkata') used for the daily refill
     },
     liked: [
       {
@@ -69,25 +189,95 @@ const userSchema = new mongoose.Schema(
         ref: 'User',
       },
     ],
+    // When each user in `disliked` was passed, keyed by user ID. Drives the pass recycle policy
+    passedAt: {
+      type: Map,
+      of: Date,
+      default: {},
+    },
+    // Profiles served before the rest of the deck on the next discovery page (e.g. a rewound swipe)
+    deckPriority: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Swipes this user has received, used for discovery ranking
+    swipeStats: {
+      likesReceived: { type: Number, default: 0 },
+      passesReceived: { type: Number, default: 0 },
+    },
     matches: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
       },
     ],
+    // Users this user has unmatched with (either side), never shown in discovery again
+    unmatched: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Users this user has blocked. Blocks hide both users from each other
+    blocked: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Which notification types the user wants to receive
+    notificationPreferences: {
+      like: { type: Boolean, default: true },
+      superLike: { type: Boolean, default: true },
+      match: { type: Boolean, default: true },
+      message: { type: Boolean, default: true },
+    },
+    flagged: {
+      type: Boolean,
+      default: false, // Set automatically once enough users report this account
+    },
+    flaggedAt: {
+      type: Date,
+    },
     otp: {
       type: String,
       default: '',
+      select: false, // Hashed verification code, never returned to clients
+    },
+    otpExpiresAt: {
+      type: Date,
+    },
+    otpAttempts: {
+      type: Number,
+      default: 0,
+    },
+    otpLastSentAt: {
+      type: Date,
     },
     status: {
       type: String,
-      enum: ['active', 'inactive', 'banned'],
+      enum: ['active', 'inactive', 'deactivated', 'banned'], // inactive: not verified yet; deactivated: by staff
       default: 'inactive',
     },
+    role: {
+      type: String,
+      enum: ['user', 'moderator', 'admin'],
+      default: 'user',
+    },
     isVerified: {
       type: Boolean,
       default: false,
     },
+    passwordResetToken: {
+      type: String,
+      select: false, // SHA-256 hash of the emailed reset token
+    },
+    passwordResetExpiresAt: {
+      type: Date,
+      select: false,
+    },
     pinnedMatches: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -102,5 +292,7 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Distance-sorted discovery
+userSchema.index({ location: '2dsphere' }, { sparse: true });
 
 module.exports = mongoose.model('User', userSchema); // Export the model
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One attempt-tracked delivery of a domain event to a webhook endpoint
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    eventId: { type: String, required: true },
+    eventType: { type: String, required: true },
+    url: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true }, // The event envelope as sent
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastAttemptAt: { type: Date, default: null },
+    responseStatus: { type: Number, default: null },
+    lastError: { type: String, default: '' },
+    deliveredAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Retry job: pending deliveries that are due
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Delivery log lookups per event
+webhookDeliverySchema.index({ eventId: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,390 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Chat = require('../models/chat');
+const Message = require('../models/message');
+const Report = require('../models/report');
+const AuditLog = require('../models/auditLog');
+const Spin = require('../models/spin');
+const WebhookDelivery = require('../models/webhookDelivery');
+const requireRole = require('../middleware/requireRole');
+const { revokeAllSessions } = require('../services/tokens');
+const { recordAudit, auditAction } = require('../services/audit');
+const { emitToUser } = require('../services/realtime');
+const { getDailyAllowances } = require('../services/quotas');
+const { publishEvent } = require('../services/events');
+
+const staff = requireRole('admin', 'moderator');
+const adminOnly = requireRole('admin');
+
+// Fields never exposed, even to admins
+const PRIVATE_FIELDS = '-password -otp -passwordResetToken -passwordResetExpiresAt';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(parseInt(query.limit) || 20, 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Validate :userId and load the user into req.targetUser
+const loadTargetUser = async (req, res, next) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const user = await User.findById(userId).select(PRIVATE_FIELDS);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (err) {
+    console.error('Error loading user:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Search users by email, username or name, optionally filtered by status, role or flag
+router.get('/users', staff, async (req, res) => {
+  const { q, status, role, flagged } = req.query;
+  const { page, limit, skip } = getPagination(req.query);
+
+  const filter = {};
+  if (q) {
+    const pattern = new RegExp(escapeRegex(String(q)), 'i');
+    filter.$or = [{ email: pattern }, { username: pattern }, { name: pattern }];
+  }
+  if (status) filter.status = status;
+  if (role) filter.role = role;
+  if (flagged !== undefined) filter.flagged = flagged === 'true';
+
+  try {
+    const [users, total] = await Promise.all([
+      User.find(filter, 'email username name status role flagged isVerified createdAt lastLogin')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    await recordAudit(req, 'user.search', { details: { q, status, role, flagged, page } });
+
+    res.status(200).json({ users, total, page, limit });
+  } catch (err) {
+    console.error('Error searching users:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// View a single user, with their report history
+router.get('/users/:userId', staff, loadTargetUser, async (req, res) => {
+  try {
+    const [reportsAgainst, reportsFiled] = await Promise.all([
+      Report.countDocuments({ reported: req.targetUser._id }),
+      Report.countDocuments({ reporter: req.targetUser._id }),
+    ]);
+
+    await recordAudit(req, 'user.view', { targetUser: req.targetUser._id });
+
+    res.status(200).json({ user: req.targetUser, reportsAgainst, reportsFiled });
+  } catch (err) {
+    console.error('Error fetching user:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change a user's status (ban, unban, deactivate)
+router.patch('/users/:userId/status', staff, loadTargetUser, async (req, res) => {
+  const { status, reason } = req.body;
+  const user = req.targetUser;
+
+  if (!['active', 'deactivated', 'banned'].includes(status)) {
+    return res.status(400).json({ error: 'Status must be one of: active, deactivated, banned' });
+  }
+
+  if (user._id.toString() === req.user.id) {
+    return res.status(400).json({ error: 'You cannot change your own status' });
+  }
+
+  // Moderators can't act on staff accounts
+  if (user.role !== 'user' && req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can change the status of staff accounts' });
+  }
+
+  try {
+    const previousStatus = user.status;
+
+    await auditAction(
+      req,
+      'user.status.update',
+      { targetUser: user._id, details: { from: previousStatus, to: status, reason: reason || '' } },
+      async () => {
+        user.status = status;
+        await user.save();
+
+        // Banned and deactivated users are told, then logged out everywhere (which closes their sockets)
+        if (status !== 'active') {
+          emitToUser(user._id, 'account:status', { status });
+          await revokeAllSessions(user._id);
+        }
+      }
+    );
+
+    if (status === 'banned' && previousStatus !== 'banned') {
+      publishEvent('user.banned', { userId: user._id, bannedBy: req.user.id, reason: reason || '' });
+    }
+
+    res.status(200).json({ message: 'User status updated successfully', status });
+  } catch (err) {
+    console.error('Error updating user status:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reset a user's swipe and spin allowances
+router.post('/users/:userId/reset-limits', adminOnly, loadTargetUser, async (req, res) => {
+  const user = req.targetUser;
+  const defaults = getDailyAllowances();
+  const swipeLimit = req.body.swipeLimit !== undefined ? parseInt(req.body.swipeLimit) : defaults.swipeLimit;
+  const spinLimit = req.body.spinLimit !== undefined ? parseInt(req.body.spinLimit) : defaults.spinLimit;
+
+  if (!Number.isInteger(swipeLimit) || swipeLimit < 0 || !Number.isInteger(spinLimit) || spinLimit < 0) {
+    return res.status(400).json({ error: 'Limits must be non-negative integers' });
+  }
+
+  try {
+    const previous = { swipeLimit: user.swipeLimit, spinLimit: user.spinLimit };
+
+    await auditAction(
+      req,
+      'user.limits.reset',
+      { targetUser: user._id, details: { from: previous, to: { swipeLimit, spinLimit } } },
+      async () => {
+        user.swipeLimit = swipeLimit;
+        user.spinLimit = spinLimit;
+        await user.save();
+      }
+    );
+
+    res.status(200).json({ message: 'Limits reset successfully', swipeLimit, spinLimit });
+  } catch (err) {
+    console.error('Error resetting limits:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// View a user's matches
+router.get('/users/:userId/matches', staff, loadTargetUser, async (req, res) => {
+  try {
+    await req.targetUser.populate('matches', 'name username profilePicture status');
+
+    await recordAudit(req, 'user.matches.view', { targetUser: req.targetUser._id });
+
+    res.status(200).json(req.targetUser.matches);
+  } catch (err) {
+    console.error('Error fetching user matches:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Audit a user's spin outcomes
+router.get('/users/:userId/spins', staff, loadTargetUser, async (req, res) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  try {
+    const spins = await Spin.find({ user: req.targetUser._id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('winner', 'name username');
+
+    await recordAudit(req, 'user.spins.view', { targetUser: req.targetUser._id });
+
+    res.status(200).json({ spins, page, limit });
+  } catch (err) {
+    console.error('Error fetching user spins:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// View a user's chats, including archived ones
+router.get('/users/:userId/chats', adminOnly, loadTargetUser, async (req, res) => {
+  try {
+    const chats = await Chat.find({ participants: req.targetUser._id }, '-unreadCounts')
+      .populate('participants', 'name username profilePicture status')
+      .sort({ lastMessageAt: -1 });
+
+    await recordAudit(req, 'user.chats.view', { targetUser: req.targetUser._id });
+
+    res.status(200).json(chats);
+  } catch (err) {
+    console.error('Error fetching user chats:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Read a chat's messages during an investigation (newest first, paginated)
+router.get('/chats/:chatId/messages', adminOnly, async (req, res) => {
+  const { chatId } = req.params;
+  const { page, limit, skip } = getPagination(req.query);
+
+  if (!mongoose.Types.ObjectId.isValid(chatId)) {
+    return res.status(400).json({ error: 'Invalid chat ID' });
+  }
+
+  try {
+    const chat = await Chat.findById(chatId, 'participants');
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const messages = await Message.find({ chat: chatId })
+      .sort({ _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('sender', 'name username');
+
+    await recordAudit(req, 'chat.messages.view', {
+      targetType: 'Chat',
+      targetId: chat._id,
+      details: { participants: chat.participants, page },
+    });
+
+    res.status(200).json({ messages, page, limit });
+  } catch (err) {
+    console.error('Error fetching chat messages:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Moderation queue
+router.get('/reports', staff, async (req, res) => {
+  const { status = 'open', reportedId } = req.query;
+  const { page, limit, skip } = getPagination(req.query);
+
+  const filter = {};
+  if (status !== 'all') filter.status = status;
+  if (reportedId) {
+    if (!mongoose.Types.ObjectId.isValid(reportedId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    filter.reported = reportedId;
+  }
+
+  try {
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('reporter', 'name username')
+        .populate('reported', 'name username status flagged')
+        .populate('message', 'content createdAt'),
+      Report.countDocuments(filter),
+    ]);
+
+    await recordAudit(req, 'report.list', { details: { status, reportedId, page } });
+
+    res.status(200).json({ reports, total, page, limit });
+  } catch (err) {
+    console.error('Error fetching reports:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Review a report
+router.patch('/reports/:reportId', staff, async (req, res) => {
+  const { reportId } = req.params;
+  const { status, note } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(reportId)) {
+    return res.status(400).json({ error: 'Invalid report ID' });
+  }
+
+  if (!['open', 'reviewed', 'dismissed', 'actioned'].includes(status)) {
+    return res.status(400).json({ error: 'Status must be one of: open, reviewed, dismissed, actioned' });
+  }
+
+  try {
+    const report = await Report.findById(reportId);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const previousStatus = report.status;
+
+    await auditAction(
+      req,
+      'report.review',
+      {
+        targetUser: report.reported,
+        targetType: 'Report',
+        targetId: report._id,
+        details: { from: previousStatus, to: status, note: note || '' },
+      },
+      async () => {
+        report.status = status;
+        await report.save();
+      }
+    );
+
+    res.status(200).json({ message: 'Report updated successfully', report });
+  } catch (err) {
+    console.error('Error updating report:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Browse the audit log
+router.get('/audit-logs', adminOnly, async (req, res) => {
+  const { actorId, targetUserId, action, outcome } = req.query;
+  const { page, limit, skip } = getPagination(req.query);
+
+  const filter = {};
+  if (actorId && mongoose.Types.ObjectId.isValid(actorId)) filter.actor = actorId;
+  if (targetUserId && mongoose.Types.ObjectId.isValid(targetUserId)) filter.targetUser = targetUserId;
+  if (action) filter.action = action;
+  if (outcome) filter.outcome = outcome; // e.g. 'pending' for changes that never settled
+
+  try {
+    const logs = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('actor', 'name username');
+
+    res.status(200).json({ logs, page, limit });
+  } catch (err) {
+    console.error('Error fetching audit logs:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Browse the webhook delivery log, optionally filtered by status, event type or event ID
+router.get('/webhook-deliveries', adminOnly, async (req, res) => {
+  const { status, eventType, eventId } = req.query;
+  const { page, limit, skip } = getPagination(req.query);
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (eventType) filter.eventType = eventType;
+  if (eventId) filter.eventId = eventId;
+
+  try {
+    const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit);
+
+    res.status(200).json({ deliveries, page, limit });
+  } catch (err) {
+    console.error('Error fetching webhook deliveries:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,84 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('../models/user');
 const Chat = require('../models/chat');
+const Message = require('../models/message');
+const Session = require('../models/session');
+const Unmatch = require('../models/unmatch');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 require('dotenv').config();
-
-const cloudinary = require('cloudinary').v2; // Import cloudinary
-const multer = require('multer');
-const storage = multer.memoryStorage(); // Store the image in memory
-const upload = multer({ storage });
-
-// Load environment variables
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const { issueOtp, checkOtp, getResendWait } = require('../services/otp');
+const { issueResetToken, hashResetToken } = require('../services/passwordReset');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+} = require('../services/tokens');
+const { emitToUser, emitToUsers } = require('../services/realtime');
+const {
+  ACTOR_FIELDS,
+  notify,
+  retractNotifications,
+  isLikeSenderHidden,
+  presentActor,
+} = require('../services/notifications');
+const { publishEvent } = require('../services/events');
+const { getBlockedUserIds, isBlockedBetween } = require('../services/blocks');
+const {
+  signSpinId,
+  verifySpinId,
+  getSpinCandidates,
+  pickWinner,
+  getSpinExpiry,
+} = require('../services/spins');
+const Spin = require('../models/spin');
+const Swipe = require('../models/swipe');
+const {
+  DISCOVERY_VIEWER_FIELDS,
+  MIN_AGE,
+  MAX_AGE,
+  getAge,
+  hasActiveSwipe,
+} = require('../services/discovery');
+const { decodeCursor, getCurrentDeck, getDeckPage, clearDecks } = require('../services/deck');
+const Deck = require('../models/deck');
+const { toCoarsePoint, formatDistance } = require('../services/location');
+const {
+  isValidTimezone,
+  refreshQuota,
+  consumeQuota,
+  refundQuota,
+  sendQuotaExceeded,
+} = require('../services/quotas');
+const Report = require('../models/report');
+
+const {
+  MAX_PHOTOS,
+  uploadPhoto,
+  deleteStoredPhoto,
+  addPhoto,
+  setPhotos,
+  removePhoto,
+} = require('../services/photos');
+const uploadImage = require('../middleware/uploadImage');
+const { loadEntitlements, requireEntitlement } = require('../middleware/requireEntitlement');
+const { hasFeature } = require('../services/entitlements');
+const { validate, rules } = require('../middleware/validate');
+const {
+  INTEREST_IDS,
+  PROMPT_IDS,
+  LIFESTYLE_OPTIONS,
+  MAX_INTERESTS,
+  MAX_PROMPTS,
+  MAX_PROMPT_ANSWER_LENGTH,
+  MAX_LANGUAGES,
+  getCatalog,
+  describePrompts,
+  getSharedInterests,
+} = require('../services/profileCatalog');
 
 // Helper function to generate a random unique username
 const generateUniqueUsername = async (baseName) => {
@@ -33,31 +95,88 @@ const generateUniqueUsername = async (baseName) => {
   return username;
 };
 
+// Notify both users of a new match over their realtime connections and in their feeds
+const notifyMatch = async (userId, targetUserId) => {
+  const users = await User.find({ _id: { $in: [userId, targetUserId] } }, 'name profilePicture');
+  const byId = Object.fromEntries(users.map((user) => [user._id.toString(), user]));
+
+  emitToUser(userId, 'match:new', { user: byId[targetUserId.toString()] });
+  emitToUser(targetUserId, 'match:new', { user: byId[userId.toString()] });
+  publishEvent('match.created', { userIds: [userId, targetUserId] });
+
+  await notify(userId, 'match', { actor: targetUserId });
+  await notify(targetUserId, 'match', { actor: userId });
+};
+
+// Store a swipe and publish it
+const createSwipe = async (fields) => {
+  const swipe = await Swipe.create(fields);
+  publishEvent('swipe.created', {
+    swipeId: swipe._id,
+    userId: swipe.user,
+    targetId: swipe.target,
+    direction: swipe.direction,
+    matched: swipe.matched,
+  });
+  return swipe;
+};
+
+// Count a swipe received by the target for their desirability score. Super likes count as likes
+const recordSwipeOutcome = (targetUserId, direction, amount = 1) =>
+  User.updateOne(
+    { _id: targetUserId },
+    { $inc: { [direction === 'left' ? 'swipeStats.passesReceived' : 'swipeStats.likesReceived']: amount } }
+  );
+
+// Put the sender on top of the target's deck and tell the target they've been super liked.
+// Targets without seeWhoLikedYou only get the sender's blurred picture
+const deliverSuperLike = async (senderId, targetUserId) => {
+  await User.updateOne({ _id: targetUserId }, { $pull: { deckPriority: senderId } });
+  await User.updateOne({ _id: targetUserId }, { $push: { deckPriority: { $each: [senderId], $position: 0 } } });
+
+  const [sender, hidden] = await Promise.all([
+    User.findById(senderId, ACTOR_FIELDS),
+    isLikeSenderHidden(targetUserId),
+  ]);
+  const { actor, ...lock } = presentActor(sender, hidden);
+  emitToUser(targetUserId, 'superlike:new', { user: actor, ...lock, createdAt: new Date() });
+
+  await notify(targetUserId, 'superLike', { actor: senderId });
+};
+
 // Middleware to authenticate JWT tokens
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
   if (!token) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
     req.user = decoded; // Attach user info to request
     next();
   } catch (err) {
+    if (err.status === 403) {
+      return res.status(403).json({ error: err.message }); // Banned or deactivated account
+    }
     return res.status(401).json({ error: 'Invalid token' });
   }
 };
 
+const registerSchema = {
+  body: {
+    email: { ...rules.email, required: true },
+    password: { ...rules.password, required: true },
+    confirmPassword: { type: 'string', required: true },
+    username: { type: 'string', trim: true, minLength: 3, maxLength: 30, pattern: /^[a-zA-Z0-9_.]+$/ },
+    deviceName: rules.deviceName,
+  },
+};
+
 // Register User
-router.post('/register', async (req, res) => {
+router.post('/register', validate(registerSchema), async (req, res) => {
   const { email, password, confirmPassword, username } = req.body;
 
-  // Validate input
-  if (!email || !password || !confirmPassword) {
-    return res.status(400).json({ error: 'Email, password, and confirmation password are required' });
-  }
-
   if (password !== confirmPassword) {
     return res.status(400).json({ error: 'Passwords do not match' });
   }
@@ -87,15 +206,26 @@ router.post('/register', async (req, res) => {
     });
 
     await newUser.save();
+    publishEvent('user.registered', { userId: newUser._id, email: newUser.email, username: newUser.username });
+
+    // Send the email verification code. A delivery failure shouldn't block registration,
+    // the user can ask for a new code through /resend-otp
+    try {
+      await issueOtp(newUser);
+    } catch (mailErr) {
+      console.error('Error sending verification code:', mailErr);
+    }
 
-    // Generate JWT token after registration
-    const token = jwt.sign({ id: newUser._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    // Start a session after registration
+    const { token, refreshToken } = await createSession(newUser, req);
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. A verification code has been sent to your email',
       token, // Return the token along with the registration response
+      refreshToken,
       username: finalUsername,
       userId: newUser._id, // Include userId in the response
+      isVerified: false,
     });
   } catch (err) {
     console.error("Error during registration:", err);
@@ -104,14 +234,100 @@ router.post('/register', async (req, res) => {
 });
 
 
+// Verify Email OTP
+const verifyOtpSchema = {
+  body: {
+    email: { ...rules.email, required: true },
+    otp: { type: 'string', trim: true, required: true, pattern: /^\d{6}$/, message: 'otp must be a 6-digit code' },
+    deviceName: rules.deviceName,
+  },
+};
 
-// Login User
-router.post('/login', async (req, res) => {
-  const { email, password } = req.body;
+router.post('/verify-otp', validate(verifyOtpSchema), async (req, res) => {
+  const { email, otp } = req.body;
+
+  try {
+    const user = await User.findOne({ email }).select('+otp');
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid email or verification code' });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({ error: 'Account is already verified' });
+    }
+
+    if (user.status === 'banned' || user.status === 'deactivated') {
+      return res.status(403).json({ error: `Account has been ${user.status}` });
+    }
+
+    const result = await checkOtp(user, otp);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    // Clear the code and activate the account
+    user.otp = '';
+    user.otpExpiresAt = undefined;
+    user.otpAttempts = 0;
+    user.isVerified = true;
+    if (user.status === 'inactive') user.status = 'active';
+    await user.save();
+
+    const { token, refreshToken } = await createSession(user, req);
 
-  if (!email || !password) {
-    return res.status(400).json({ error: 'Email and password are required' });
+    res.status(200).json({
+      message: 'Account verified successfully',
+      token,
+      refreshToken,
+      username: user.username,
+      userId: user._id,
+      isVerified: true,
+    });
+  } catch (err) {
+    console.error('Error verifying OTP:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
+
+// Resend Email OTP
+const emailOnlySchema = { body: { email: { ...rules.email, required: true } } };
+
+router.post('/resend-otp', validate(emailOnlySchema), async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const user = await User.findOne({ email });
+
+    // Don't reveal whether the email is registered
+    if (!user || user.isVerified) {
+      return res.status(200).json({ message: 'If the account needs verification, a new code has been sent' });
+    }
+
+    const wait = getResendWait(user);
+    if (wait > 0) {
+      return res.status(429).json({ error: `Please wait ${wait} seconds before requesting a new code`, retryAfter: wait });
+    }
+
+    await issueOtp(user);
+
+    res.status(200).json({ message: 'If the account needs verification, a new code has been sent' });
+  } catch (err) {
+    console.error('Error resending OTP:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Login User
+const loginSchema = {
+  body: {
+    email: { type: 'string', trim: true, required: true },
+    password: { type: 'string', required: true },
+    deviceName: rules.deviceName,
+  },
+};
+
+router.post('/login', validate(loginSchema), async (req, res) => {
+  const { email, password } = req.body;
 
   try {
     const user = await User.findOne({ email });
@@ -125,31 +341,31 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Invalid email or password' });
     }
 
-    // Check if it's a new day (if the user hasn't logged in today)
-    const lastLoginDate = new Date(user.lastLogin);
-    const currentDate = new Date();
+    if (user.status === 'banned' || user.status === 'deactivated') {
+      return res.status(403).json({ error: `Account has been ${user.status}` });
+    }
 
-    if (lastLoginDate.toDateString() !== currentDate.toDateString()) {
-      // Update the swipeLimit and spinLimit if they are below thresholds
-      if (user.swipeLimit < 20) user.swipeLimit = 20;
-      if (user.spinLimit < 1) user.spinLimit = 1;
+    // Update lastLogin timestamp
+    user.lastLogin = new Date();
+    await user.save();
 
-      // Update lastLogin timestamp
-      user.lastLogin = currentDate;
-      await user.save(); // Save updated user data
-    }
+    // Allowances refill on their own schedule; this just makes sure the response is current
+    const quota = await refreshQuota(user._id);
 
-    // Generate JWT Token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    // Start a new session for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     // Respond with success message and user data
     res.status(200).json({
       message: 'Login successful',
       token,
+      refreshToken,
       username: user.username,
       userId: user._id, // Include userId in the response
-      swipeLimit: user.swipeLimit,
-      spinLimit: user.spinLimit, // Include updated limits
+      isVerified: user.isVerified,
+      swipeLimit: quota.swipeLimit,
+      spinLimit: quota.spinLimit, // Include updated limits
+      quotaResetAt: quota.quotaResetAt,
     });
   } catch (err) {
     console.error('Error during login:', err);
@@ -157,18 +373,250 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Update User Profile
-router.put('/update-profile', authenticate, async (req, res) => {
-  const updates = req.body;
+// Refresh Tokens - rotates the refresh token and issues a new access token
+router.post('/refresh', validate({ body: { refreshToken: { type: 'string', required: true } } }), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const tokens = await rotateSession(refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.status(200).json(tokens);
+  } catch (err) {
+    console.error('Error refreshing token:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout - revokes the current session
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await revokeSession(req.user.id, req.user.sid);
+
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Error logging out:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout All - revokes every session of the user, including the current one
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+
+    res.status(200).json({ message: 'Logged out from all devices' });
+  } catch (err) {
+    console.error('Error logging out from all devices:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List active sessions (devices) of the user
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.find(
+      { user: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } },
+      'deviceName userAgent ip createdAt lastUsedAt expiresAt'
+    ).sort({ lastUsedAt: -1 });
+
+    res.status(200).json(
+      sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.user.sid,
+      }))
+    );
+  } catch (err) {
+    console.error('Error fetching sessions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-  if (updates.gender) {
-    updates.gender = updates.gender.charAt(0).toUpperCase() + updates.gender.slice(1).toLowerCase();
+// Revoke a single session (device)
+router.delete('/sessions/:sessionId', authenticate, validate({ params: { sessionId: rules.objectId } }), async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    const result = await revokeSession(req.user.id, sessionId);
+
+    if (!result.matchedCount) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.status(200).json({ message: 'Session revoked successfully' });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Forgot Password - emails a single-use reset link
+router.post('/forgot-password', validate(emailOnlySchema), async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const user = await User.findOne({ email });
+
+    // Same response whether or not the email is registered
+    if (user) {
+      await issueResetToken(user);
+    }
+
+    res.status(200).json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (err) {
+    console.error('Error requesting password reset:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reset Password using the emailed token
+const resetPasswordSchema = {
+  body: {
+    token: { type: 'string', required: true },
+    password: { ...rules.password, required: true },
+    confirmPassword: { type: 'string', required: true },
+  },
+};
+
+router.post('/reset-password', validate(resetPasswordSchema), async (req, res) => {
+  const { token, password, confirmPassword } = req.body;
+
+  if (password !== confirmPassword) {
+    return res.status(400).json({ error: 'Passwords do not match' });
   }
-  if (updates.interestedIn) {
-    updates.interestedIn =
-      updates.interestedIn.charAt(0).toUpperCase() + updates.interestedIn.slice(1).toLowerCase();
+
+  try {
+    const user = await User.findOne({
+      passwordResetToken: hashResetToken(token),
+      passwordResetExpiresAt: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    // Re-hash, consume the token and invalidate existing sessions
+    user.password = await bcrypt.hash(password, 10);
+    user.passwordResetToken = undefined;
+    user.passwordResetExpiresAt = undefined;
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.status(200).json({ message: 'Password reset successfully. Please log in again' });
+  } catch (err) {
+    console.error('Error resetting password:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change Password for a logged-in user
+const changePasswordSchema = {
+  body: {
+    currentPassword: { type: 'string', required: true },
+    newPassword: { ...rules.password, required: true },
+    confirmPassword: { type: 'string', required: true },
+  },
+};
+
+router.put('/change-password', authenticate, validate(changePasswordSchema), async (req, res) => {
+  const { currentPassword, newPassword, confirmPassword } = req.body;
+
+  if (newPassword !== confirmPassword) {
+    return res.status(400).json({ error: 'Passwords do not match' });
   }
 
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    // Re-hash and invalidate every other session, keeping this device logged in
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+    await revokeAllSessions(user._id, req.user.sid);
+
+    res.status(200).json({ message: 'Password changed successfully' });
+  } catch (err) {
+    console.error('Error changing password:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update User Profile
+// 'male' -> 'Male'
+const capitalize = (value) =>
+  typeof value === 'string' && value ? value.charAt(0).toUpperCase() + value.slice(1).toLowerCase() : value;
+
+const unique = (list) => (Array.isArray(list) ? [...new Set(list)] : list);
+
+// The only fields /update-profile may change. Everything else either has its own endpoint
+// (password, location, photos, discovery preferences) or isn't editable by the user
+const profileUpdateSchema = {
+  body: {
+    name: { type: 'string', trim: true, minLength: 1, maxLength: 50 },
+    dob: {
+      type: 'date',
+      check: (dob) => (getAge(dob) < MIN_AGE ? `You must be at least ${MIN_AGE} years old` : undefined),
+    },
+    gender: { type: 'string', transform: capitalize, enum: User.schema.path('gender').enumValues },
+    interestedIn: { type: 'string', transform: capitalize, enum: User.schema.path('interestedIn').enumValues },
+    bio: { type: 'string', trim: true, maxLength: 250 },
+    university: { type: 'string', trim: true, maxLength: 100 },
+    timezone: {
+      type: 'string',
+      trim: true,
+      check: (timezone) => (timezone === '' || isValidTimezone(timezone) ? undefined : 'Invalid timezone'),
+    },
+    course: { type: 'string', trim: true, maxLength: 100 },
+    yearOfStudy: { type: 'integer', nullable: true, min: 1, max: 7 },
+    heightCm: { type: 'integer', nullable: true, min: 100, max: 250 },
+    languages: {
+      type: 'array',
+      transform: unique,
+      maxLength: MAX_LANGUAGES,
+      items: { type: 'string', trim: true, minLength: 1, maxLength: 30 },
+    },
+    interests: { type: 'array', transform: unique, maxLength: MAX_INTERESTS, items: { type: 'string', enum: INTEREST_IDS } },
+    prompts: {
+      type: 'array',
+      maxLength: MAX_PROMPTS,
+      items: {
+        type: 'object',
+        fields: {
+          promptId: { type: 'string', required: true, enum: PROMPT_IDS },
+          answer: { type: 'string', trim: true, required: true, minLength: 1, maxLength: MAX_PROMPT_ANSWER_LENGTH },
+        },
+      },
+      check: (prompts) =>
+        new Set(prompts.map((prompt) => prompt.promptId)).size !== prompts.length
+          ? 'Each prompt can only be answered once'
+          : undefined,
+    },
+    lifestyle: {
+      type: 'object',
+      fields: Object.fromEntries(
+        Object.entries(LIFESTYLE_OPTIONS).map(([field, options]) => [field, { type: 'string', nullable: true, enum: options }])
+      ),
+    },
+  },
+};
+
+router.put('/update-profile', authenticate, validate(profileUpdateSchema), async (req, res) => {
+  const { lifestyle, ...updates } = req.body;
+
+  // Lifestyle answers are updated one by one so unchanged answers are kept
+  Object.entries(lifestyle || {}).forEach(([field, value]) => {
+    updates[`lifestyle.${field}`] = value;
+  });
+
   try {
     const updatedUser = await User.findByIdAndUpdate(
       req.user.id,
@@ -189,6 +637,11 @@ router.put('/update-profile', authenticate, async (req, res) => {
 
 
 
+// Interests, prompts and lifestyle options users can pick from, with the limits that apply
+router.get('/profile-catalog', (req, res) => {
+  res.status(200).json(getCatalog());
+});
+
 // Fetch User Details
 router.get('/user', authenticate, async (req, res) => {
   try {
@@ -206,73 +659,247 @@ router.get('/user', authenticate, async (req, res) => {
 });
 
 
-const shuffleArray = (array) => {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]]; // Swap elements
+// Update the user's location. Coordinates are rounded before they are stored
+const locationSchema = {
+  body: {
+    latitude: { type: 'number', required: true, min: -90, max: 90 },
+    longitude: { type: 'number', required: true, min: -180, max: 180 },
+  },
+};
+
+router.put('/location', authenticate, validate(locationSchema), async (req, res) => {
+  const { latitude, longitude } = req.body;
+
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { location: toCoarsePoint(latitude, longitude), locationUpdatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json({ message: 'Location updated successfully', locationUpdatedAt: user.locationUpdatedAt });
+  } catch (err) {
+    console.error('Error updating location:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove the user's location
+router.delete('/location', authenticate, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { location: '', locationUpdatedAt: '' } });
+
+    res.status(200).json({ message: 'Location removed successfully' });
+  } catch (err) {
+    console.error('Error removing location:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
-  return array;
+});
+
+// Fetch discovery preferences
+router.get('/discovery-preferences', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id, 'discoveryPreferences');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json(user.discoveryPreferences);
+  } catch (err) {
+    console.error('Error fetching discovery preferences:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const discoveryPreferencesSchema = {
+  body: {
+    minAge: { type: 'integer', nullable: true, min: MIN_AGE, max: MAX_AGE },
+    maxAge: { type: 'integer', nullable: true, min: MIN_AGE, max: MAX_AGE },
+    sameUniversityOnly: { type: 'boolean' },
+    universities: { type: 'array', maxLength: 20, items: { type: 'string', trim: true, minLength: 1, maxLength: 100 } },
+    maxDistanceKm: { type: 'number', nullable: true, min: 1, max: 500 },
+  },
 };
 
-router.get('/all-users', authenticate, async (req, res) => {
+// Update discovery preferences. Send null to clear a limit
+router.put('/discovery-preferences', authenticate, validate(discoveryPreferencesSchema), async (req, res) => {
+  const { minAge, maxAge, sameUniversityOnly, universities, maxDistanceKm } = req.body;
+  const updates = {};
+  const unset = {};
+
+  for (const [key, value] of Object.entries({ minAge, maxAge, maxDistanceKm })) {
+    if (value === undefined) continue;
+    if (value === null) {
+      unset[`discoveryPreferences.${key}`] = '';
+    } else {
+      updates[`discoveryPreferences.${key}`] = value;
+    }
+  }
+
+  if (sameUniversityOnly !== undefined) {
+    updates['discoveryPreferences.sameUniversityOnly'] = sameUniversityOnly;
+  }
+
+  if (universities !== undefined) {
+    updates['discoveryPreferences.universities'] = [...new Set(universities)];
+  }
+
+  try {
+    const user = await User.findById(req.user.id, 'discoveryPreferences');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Check the range against whichever bound isn't being changed
+    const nextMin = minAge !== undefined ? minAge : user.discoveryPreferences.minAge;
+    const nextMax = maxAge !== undefined ? maxAge : user.discoveryPreferences.maxAge;
+    if (nextMin && nextMax && nextMin > nextMax) {
+      return res.status(400).json({ error: 'minAge cannot be greater than maxAge' });
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: updates, $unset: unset },
+      { new: true, runValidators: true, projection: 'discoveryPreferences' }
+    );
+
+    res.status(200).json({ message: 'Discovery preferences updated successfully', discoveryPreferences: updated.discoveryPreferences });
+  } catch (err) {
+    console.error('Error updating discovery preferences:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Current swipe/spin allowances and when they next refill
+router.get('/quota', authenticate, loadEntitlements, async (req, res) => {
+  try {
+    const quota = await refreshQuota(req.user.id, req.entitlements);
+    if (!quota) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json({
+      plan: req.entitlements.plan,
+      unlimitedSwipes: req.entitlements.features.unlimitedSwipes, // swipeLimit isn't used up when true
+      swipeLimit: quota.swipeLimit,
+      spinLimit: quota.spinLimit,
+      rewindLimit: quota.rewindLimit,
+      superLikeLimit: quota.superLikeLimit,
+      resetAt: quota.quotaResetAt,
+    });
+  } catch (err) {
+    console.error('Error fetching quota:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const BOOST_MINUTES = parseInt(process.env.BOOST_MINUTES) || 30;
+
+// Use a boost credit to rank the user higher in other people's decks for BOOST_MINUTES
+router.post('/boost', authenticate, requireEntitlement('boosts'), async (req, res) => {
+  try {
+    const now = new Date();
+    const boostedUntil = new Date(now.getTime() + BOOST_MINUTES * 60 * 1000);
+
+    // One boost at a time; the conditions keep concurrent requests from spending two credits
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.id, boostCredits: { $gt: 0 }, $or: [{ boostedUntil: null }, { boostedUntil: { $lte: now } }] },
+      { $inc: { boostCredits: -1 }, $set: { boostedUntil } },
+      { new: true, projection: 'boostCredits boostedUntil' }
+    );
+
+    if (!user) {
+      const current = await User.findById(req.user.id, 'boostCredits boostedUntil');
+      if (!current) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (current.boostedUntil && current.boostedUntil > now) {
+        return res.status(409).json({ error: 'A boost is already active', boostedUntil: current.boostedUntil });
+      }
+      return res.status(403).json({ error: 'No boosts left', code: 'NO_BOOSTS_LEFT', boostCredits: 0 });
+    }
+
+    res.status(200).json({ message: 'Boost started', boostedUntil: user.boostedUntil, boostCredits: user.boostCredits });
+  } catch (err) {
+    console.error('Error starting boost:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+
+// Ranked discovery deck. The deck is scored once and kept for a while, so pages never overlap.
+// Pass ?cursor= (empty to start) to page with cursors and get { users, nextCursor } back;
+// ?page= is still accepted and returns a plain array from the same deck
+const discoveryPageSchema = {
+  query: {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1 },
+    cursor: { type: 'string' },
+  },
+};
+
+router.get('/all-users', authenticate, validate(discoveryPageSchema), async (req, res) => {
   try {
     const currentUserId = req.user.id; // Get the current user's ID from the token
 
     // Fetch the current user's preferences, liked users, and matches
-    const currentUser = await User.findById(currentUserId, 'interestedIn liked matches');
+    const currentUser = await User.findById(currentUserId, DISCOVERY_VIEWER_FIELDS);
     if (!currentUser) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const { interestedIn, liked, matches } = currentUser;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const useCursor = req.query.cursor !== undefined;
 
-    // Define gender filter based on the user's preference
-    let genderFilter = [];
-    if (interestedIn === 'Male') genderFilter = ['Male'];
-    else if (interestedIn === 'Female') genderFilter = ['Female'];
-    else if (interestedIn === 'Both') genderFilter = ['Male', 'Female', 'Other'];
+    let deck;
+    let offset;
 
-    // Combine liked and matches into one exclusion list
-    const excludeIds = [...new Set([...liked, ...matches, currentUserId])]; // Ensure uniqueness
+    if (useCursor && req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
 
-    // Get pagination parameters from the query (default to page 1, limit 10)
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+      deck = await Deck.findOne({ _id: cursor.deckId, user: currentUserId, expiresAt: { $gt: new Date() } });
+      if (!deck) {
+        return res.status(410).json({ error: 'Deck has expired, start again without a cursor', code: 'DECK_EXPIRED' });
+      }
+      offset = cursor.offset;
+    } else {
+      // A fresh deck on the first page, the current one for later pages
+      const page = useCursor ? 1 : parseInt(req.query.page) || 1;
+      deck = await getCurrentDeck(currentUser, { rebuild: page === 1 });
+      offset = (page - 1) * limit;
+    }
 
-    // Fetch profiles with and without a profile picture separately, excluding liked and matched profiles
-    const usersWithPicture = await User.find(
-      {
-        _id: { $nin: excludeIds }, // Exclude current user, liked users, and matched users
-        name: { $ne: null, $ne: '' },
-        dob: { $ne: null },
-        gender: { $in: genderFilter },
-        interestedIn: { $ne: null },
-        profilePicture: { $ne: null }, // Ensure profile picture exists
-      },
-      'name profilePicture dob gender interestedIn bio' // Include bio field
-    ).skip(skip).limit(limit); // Apply pagination
-
-    const usersWithoutPicture = await User.find(
-      {
-        _id: { $nin: excludeIds }, // Exclude current user, liked users, and matched users
-        name: { $ne: null, $ne: '' },
-        dob: { $ne: null },
-        gender: { $in: genderFilter },
-        interestedIn: { $ne: null },
-        profilePicture: null, // Profiles without a picture
-      },
-      'name profilePicture dob gender interestedIn bio' // Include bio field
-    ).skip(skip).limit(limit); // Apply pagination
+    const { cards, nextCursor } = await getDeckPage(currentUser, deck, offset, limit);
 
-    // Shuffle both groups
-    const shuffledWithPicture = shuffleArray(usersWithPicture);
-    const shuffledWithoutPicture = shuffleArray(usersWithoutPicture);
+    // Cards from users who super liked the viewer are flagged so the client can highlight them
+    const superLikes = await Swipe.find(
+      { user: { $in: cards.map((card) => card._id) }, target: currentUserId, direction: 'super', rewoundAt: null },
+      'user'
+    );
+    const superLikedBy = new Set(superLikes.map((swipe) => swipe.user.toString()));
+
+    // Coordinates never leave the server; cards only get an approximate distance.
+    // Interests shared with the viewer are highlighted
+    const users = cards.map(({ distance, ...user }) => ({
+      ...user,
+      prompts: describePrompts(user.prompts),
+      sharedInterests: getSharedInterests(currentUser.interests, user.interests),
+      ...(typeof distance === 'number' && { distanceText: formatDistance(distance) }),
+      ...(superLikedBy.has(user._id.toString()) && { superLikedYou: true }),
+    }));
 
-    // Combine them, prioritizing profiles with pictures
-    const prioritizedUsers = [...shuffledWithPicture, ...shuffledWithoutPicture];
+    if (useCursor) {
+      return res.status(200).json({ users, nextCursor });
+    }
 
-    res.status(200).json(prioritizedUsers);
+    res.status(200).json(users);
   } catch (err) {
     console.error('Error fetching users:', err);
     res.status(500).json({ error: 'Internal server error' });
@@ -280,39 +907,37 @@ router.get('/all-users', authenticate, async (req, res) => {
 });
 
 
-router.get('/spinner-users', authenticate, async (req, res) => {
+// Reset passes - everyone the user swiped left on can show up in discovery again
+router.delete('/passes', authenticate, async (req, res) => {
   try {
-    const currentUserId = req.user.id;
-
-    const currentUser = await User.findById(currentUserId, 'interestedIn liked matches');
-    if (!currentUser) {
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: { disliked: [], passedAt: {} } });
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const { interestedIn, liked, matches } = currentUser;
+    // The stored deck was built without these profiles
+    await clearDecks(req.user.id);
 
-    let genderFilter = [];
-    if (interestedIn === 'Male') genderFilter = ['Male'];
-    else if (interestedIn === 'Female') genderFilter = ['Female'];
-    else if (interestedIn === 'Both') genderFilter = ['Male', 'Female', 'Other'];
-
-    const excludeIds = [...new Set([...liked, ...matches, currentUserId])];
+    res.status(200).json({ message: 'Passes reset successfully', cleared: user.disliked.length });
+  } catch (err) {
+    console.error('Error resetting passes:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const users = await User.find(
-      {
-        _id: { $nin: excludeIds },
-        dob: { $ne: null },
-        gender: { $in: genderFilter },
-      },
-      'name profilePicture dob gender'
-    )
-      .limit(10) // Limit results to 10
-      .exec();
+// Preview of users who could appear on the spin wheel
+router.get('/spinner-users', authenticate, async (req, res) => {
+  try {
+    const users = await getSpinCandidates(req.user.id);
+    if (!users) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
     const spinnerUsers = users.map(user => ({
       id: user._id,
       name: user.name || 'Name not available',
       profilePicture: user.profilePicture || 'https://example.com/dummy-profile.jpg',
+      photos: user.photos || [],
     }));
 
     res.status(200).json(spinnerUsers);
@@ -322,27 +947,180 @@ router.get('/spinner-users', authenticate, async (req, res) => {
   }
 });
 
+// Start a spin - the server uses up a spin, picks the candidate pool and the winner,
+// and returns a signed spin ID the client hands back to /spin/resolve
+router.post('/spin/start', authenticate, async (req, res) => {
+  const currentUserId = req.user.id;
 
+  try {
+    const candidates = await getSpinCandidates(currentUserId);
+    if (!candidates) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
+    if (!candidates.length) {
+      return res.status(404).json({ error: 'No users available to spin right now' });
+    }
+
+    const quota = await consumeQuota(currentUserId, 'spin');
+    if (!quota.ok) {
+      return sendQuotaExceeded(res, 'spin', quota.resetAt);
+    }
+
+    const winner = pickWinner(candidates);
+
+    const spin = await Spin.create({
+      user: currentUserId,
+      candidates: candidates.map((candidate) => candidate._id),
+      winner: winner._id,
+      expiresAt: getSpinExpiry(),
+    });
+
+    res.status(201).json({
+      spinId: signSpinId(spin._id),
+      candidates: candidates.map((candidate) => ({
+        id: candidate._id,
+        name: candidate.name || 'Name not available',
+        profilePicture: candidate.profilePicture || 'https://example.com/dummy-profile.jpg',
+        photos: candidate.photos || [],
+      })),
+      winnerId: winner._id,
+      expiresAt: spin.expiresAt,
+      spinLimit: quota.remaining,
+    });
+  } catch (err) {
+    console.error('Error starting spin:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Resolve a spin - creates the match with the winner the server picked
+router.post('/spin/resolve', authenticate, validate({ body: { spinId: { type: 'string', required: true } } }), async (req, res) => {
+  const currentUserId = req.user.id;
+  const spinId = verifySpinId(req.body.spinId);
+
+  if (!spinId) {
+    return res.status(400).json({ error: 'Invalid spin ID' });
+  }
 
-router.post('/swipe', authenticate, async (req, res) => {
   try {
-    const { targetUserId, direction } = req.body;
+    // Claim the pending spin atomically so it can only be resolved once
+    const spin = await Spin.findOneAndUpdate(
+      { _id: spinId, user: currentUserId, status: 'pending', expiresAt: { $gt: new Date() } },
+      { $set: { status: 'resolved', resolvedAt: new Date() } },
+      { new: true }
+    );
 
-    if (!['left', 'right'].includes(direction)) {
-      return res.status(400).json({ error: 'Invalid swipe direction' });
+    if (!spin) {
+      const existing = await Spin.findOne({ _id: spinId, user: currentUserId }, 'status expiresAt');
+      if (!existing) {
+        return res.status(404).json({ error: 'Spin not found' });
+      }
+
+      if (existing.status === 'pending') {
+        existing.status = 'expired';
+        await existing.save();
+      }
+
+      return res.status(409).json({ error: `Spin is ${existing.status}` });
     }
 
+    const targetUserId = spin.winner;
+
+    // The winner may have been banned, blocked or unmatched since the wheel was spun
+    const winner = await User.findOne(
+      { _id: targetUserId, status: { $nin: ['banned', 'deactivated'] } },
+      'name profilePicture photos'
+    );
+    const unmatched =
+      winner &&
+      (await User.exists({
+        $or: [
+          { _id: currentUserId, unmatched: targetUserId },
+          { _id: targetUserId, unmatched: currentUserId },
+        ],
+      }));
+    if (!winner || unmatched || (await isBlockedBetween(currentUserId, targetUserId))) {
+      spin.status = 'failed';
+      spin.failureReason = 'Winner no longer available';
+      await spin.save();
+
+      // The spin didn't produce a match, so it doesn't count against the allowance
+      await refundQuota(currentUserId, 'spin');
+      const quota = await refreshQuota(currentUserId);
+
+      return res.status(409).json({ error: 'Winner is no longer available', spinLimit: quota ? quota.spinLimit : null });
+    }
+
+    await User.findByIdAndUpdate(currentUserId, {
+      $addToSet: { matches: targetUserId },
+      $pull: { liked: targetUserId, disliked: targetUserId }, // Ensure cleaned liked/disliked
+    });
+
+    await User.findByIdAndUpdate(targetUserId, {
+      $addToSet: { matches: currentUserId },
+      $pull: { liked: currentUserId, disliked: currentUserId },
+    });
+
+    await notifyMatch(currentUserId, targetUserId);
+
+    res.status(200).json({ message: 'Winner connected successfully!', mutual: true, winner });
+  } catch (err) {
+    console.error('Error resolving spin:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+
+
+
+// 'super' is a super like: a like with its own allowance that puts the sender on top of the target's deck
+const swipeSchema = {
+  body: {
+    targetUserId: { ...rules.objectId, required: true },
+    direction: { type: 'string', required: true, enum: ['left', 'right', 'super'] },
+  },
+};
+
+router.post('/swipe', authenticate, validate(swipeSchema), async (req, res) => {
+  let consumedQuota = null; // Given back if the swipe fails after the quota was used
+
+  try {
+    const { targetUserId, direction } = req.body;
+    const isLike = direction !== 'left';
+
     const currentUserId = req.user.id; // Current logged-in user's ID
 
-    if (direction === 'right') {
-      // Check if the target user has already liked the current user
-      const targetUser = await User.findById(targetUserId, 'liked matches');
+    // Blocked users look the same as missing ones, so a block isn't revealed
+    const targetUser = await User.findById(targetUserId, 'liked matches');
+    if (!targetUser || (await isBlockedBetween(currentUserId, targetUserId))) {
+      return res.status(404).json({ error: 'Target user not found' });
+    }
 
-      if (!targetUser) {
-        return res.status(404).json({ error: 'Target user not found' });
-      }
+    const currentUser = await User.findById(currentUserId, 'liked disliked passedAt matches');
+    if (!currentUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Repeat swipes are rejected before they cost anything
+    if (hasActiveSwipe(currentUser, targetUserId)) {
+      return res.status(409).json({ error: 'You have already swiped on this user' });
+    }
 
+    // Use up one swipe (or super like) before acting; rejected once the daily allowance is gone
+    const quotaKind = direction === 'super' ? 'superLike' : 'swipe';
+    const quota = await consumeQuota(currentUserId, quotaKind);
+    if (!quota.ok) {
+      return sendQuotaExceeded(res, quotaKind, quota.resetAt);
+    }
+    if (quota.remaining !== null) consumedQuota = quotaKind;
+    const quotaResetAt = consumedQuota ? quota.resetAt : null;
+    const remaining = { [direction === 'super' ? 'superLikeLimit' : 'swipeLimit']: quota.remaining };
+
+    await recordSwipeOutcome(targetUserId, direction);
+
+    if (isLike) {
+      // Check if the target user has already liked the current user
       const isMutual = targetUser.liked.includes(currentUserId);
 
       if (isMutual) {
@@ -357,80 +1135,193 @@ router.post('/swipe', authenticate, async (req, res) => {
           $pull: { liked: currentUserId, disliked: currentUserId }, // Remove from liked and disliked
         });
 
-        // Decrease swipe limit for the current user
-        await User.findByIdAndUpdate(currentUserId, {
-          $inc: { swipeLimit: -1 }, // Decrement swipeLimit by 1
-        });
+        await createSwipe({ user: currentUserId, target: targetUserId, direction, matched: true, quotaResetAt });
+        await notifyMatch(currentUserId, targetUserId);
+
+        return res.status(200).json({
+          message: 'Matched! Connection created.',
+          mutual: true,
+          ...remaining,
+        });
+      }
+    }
+
+    // Update swipe action in the database
+    const updateActions =
+      isLike
+        ? {
+            $addToSet: { liked: targetUserId }, // Add to liked
+            $pull: { disliked: targetUserId }, // Remove from disliked
+            $unset: { [`passedAt.${targetUserId}`]: '' },
+          }
+        : {
+            $addToSet: { disliked: targetUserId }, // Add to disliked for left swipe
+            $set: { [`passedAt.${targetUserId}`]: new Date() }, // Start the recycle clock
+          };
+
+    const updatedUser = await User.findByIdAndUpdate(currentUserId, updateActions, { new: true });
+
+    if (!updatedUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await createSwipe({ user: currentUserId, target: targetUserId, direction, quotaResetAt });
+
+    if (direction === 'super') {
+      await deliverSuperLike(currentUserId, targetUserId);
+    } else if (direction === 'right') {
+      await notify(targetUserId, 'like', { actor: currentUserId });
+    }
+
+    res.status(200).json({ message: `Swiped ${direction}`, mutual: false, ...remaining });
+  } catch (err) {
+    console.error('Error handling swipe:', err);
+    if (consumedQuota) {
+      await refundQuota(req.user.id, consumedQuota).catch((refundErr) => console.error('Error refunding quota:', refundErr));
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+
 
-        return res.status(200).json({ message: 'Matched! Connection created.', mutual: true });
-      }
+// Rewind - undo the most recent swipe and put the profile back on top of the deck
+router.post('/rewind', authenticate, async (req, res) => {
+  const currentUserId = req.user.id;
+
+  try {
+    const swipe = await Swipe.findOne({ user: currentUserId, rewoundAt: null }).sort({ createdAt: -1 });
+    if (!swipe) {
+      return res.status(404).json({ error: 'No swipe to rewind' });
     }
 
-    // Update swipe action in the database
-    const updateActions =
-      direction === 'right'
-        ? {
-            $addToSet: { liked: targetUserId }, // Add to liked
-            $pull: { disliked: targetUserId }, // Remove from disliked
-          }
-        : { $addToSet: { disliked: targetUserId } }; // Add to disliked for left swipe
+    // A match may also have come from the other user liking back after this swipe
+    const matchedSince = await User.exists({ _id: currentUserId, matches: swipe.target });
+    if (swipe.matched || matchedSince) {
+      return res.status(409).json({ error: 'Cannot rewind a swipe that created a match' });
+    }
 
-    const updatedUser = await User.findByIdAndUpdate(currentUserId, updateActions, { new: true });
+    const quota = await consumeQuota(currentUserId, 'rewind');
+    if (!quota.ok) {
+      return sendQuotaExceeded(res, 'rewind', quota.resetAt);
+    }
 
-    if (!updatedUser) {
-      return res.status(404).json({ error: 'User not found' });
+    // Claim the swipe so concurrent rewinds can't undo it twice
+    const claimed = await Swipe.findOneAndUpdate(
+      { _id: swipe._id, rewoundAt: null },
+      { $set: { rewoundAt: new Date() } }
+    );
+    if (!claimed) {
+      await refundQuota(currentUserId, 'rewind');
+      return res.status(409).json({ error: 'Swipe has already been rewound' });
     }
 
-    // Decrease swipe limit for the current user
+    const targetUserId = swipe.target;
+
+    // Undo the swipe
     await User.findByIdAndUpdate(currentUserId, {
-      $inc: { swipeLimit: -1 }, // Decrement swipeLimit by 1
+      $pull: { liked: targetUserId, disliked: targetUserId, deckPriority: targetUserId },
+      $unset: { [`passedAt.${targetUserId}`]: '' },
     });
 
-    res.status(200).json({ message: `Swiped ${direction}`, mutual: false });
+    // Give the swipe (or super like) back if it was charged to the current quota period. Free swipes
+    // and swipes from a period that has since been refilled aren't refunded
+    if (swipe.quotaResetAt) {
+      await User.updateOne(
+        { _id: currentUserId, quotaResetAt: swipe.quotaResetAt },
+        { $inc: { [swipe.direction === 'super' ? 'superLikeLimit' : 'swipeLimit']: 1 } }
+      );
+    }
+
+    // A rewound super like no longer puts the user on top of the target's deck
+    if (swipe.direction === 'super') {
+      await User.updateOne({ _id: targetUserId }, { $pull: { deckPriority: swipe.user } });
+    }
+
+    // Show the profile first on the next discovery page
+    const updatedUser = await User.findByIdAndUpdate(
+      currentUserId,
+      { $push: { deckPriority: { $each: [targetUserId], $position: 0 } } },
+      { new: true, projection: 'swipeLimit superLikeLimit' }
+    );
+
+    await recordSwipeOutcome(targetUserId, swipe.direction, -1);
+
+    // The target no longer hears about a like that was taken back
+    if (swipe.direction !== 'left') {
+      await retractNotifications(targetUserId, { actor: currentUserId, type: { $in: ['like', 'superLike'] } });
+    }
+
+    const profile = await User.findById(targetUserId, 'name profilePicture photos dob gender interestedIn bio university');
+
+    res.status(200).json({
+      message: 'Swipe rewound',
+      direction: swipe.direction,
+      user: profile,
+      swipeLimit: updatedUser.swipeLimit,
+      superLikeLimit: updatedUser.superLikeLimit,
+      rewindLimit: quota.remaining,
+    });
   } catch (err) {
-    console.error('Error handling swipe:', err);
+    console.error('Error rewinding swipe:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 
 
-router.post('/spinwin', authenticate, async (req, res) => {
+const spinWinSchema = {
+  body: {
+    targetUserId: { ...rules.objectId, required: true },
+    direction: { type: 'string', enum: ['left', 'right'] },
+    isSpinnerWinner: { type: 'boolean' }, // Sent by older clients, now rejected below
+  },
+};
+
+router.post('/spinwin', authenticate, validate(spinWinSchema), async (req, res) => {
+  let consumedQuota = null; // Given back if the swipe fails after the quota was used
+
   try {
     const { targetUserId, isSpinnerWinner } = req.body;
     const currentUserId = req.user.id; // Current logged-in user's ID
 
+    // Spin outcomes are decided by the server through /spin/start and /spin/resolve
     if (isSpinnerWinner) {
-      // Directly add winner to matches for both users
-      const winnerUpdate = await User.findByIdAndUpdate(currentUserId, {
-        $addToSet: { matches: targetUserId },
-        $pull: { liked: targetUserId, disliked: targetUserId }, // Ensure cleaned liked/disliked
-      });
-
-      const targetUserUpdate = await User.findByIdAndUpdate(targetUserId, {
-        $addToSet: { matches: currentUserId },
-        $pull: { liked: currentUserId, disliked: currentUserId }, // Ensure cleaned liked/disliked
-      });
-
-      if (!winnerUpdate || !targetUserUpdate) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-
-      return res.status(200).json({ message: 'Winner connected successfully!', mutual: true });
+      return res.status(410).json({ error: 'Spin results must be resolved through /spin/resolve' });
     }
 
     // Regular swipe logic
     const { direction } = req.body;
-    if (!['left', 'right'].includes(direction)) {
+    if (!direction) {
       return res.status(400).json({ error: 'Invalid swipe direction' });
     }
 
-    if (direction === 'right') {
-      const targetUser = await User.findById(targetUserId, 'liked matches');
-      if (!targetUser) {
-        return res.status(404).json({ error: 'Target user not found' });
-      }
+    // Blocked users look the same as missing ones, so a block isn't revealed
+    const targetUser = await User.findById(targetUserId, 'liked matches');
+    if (!targetUser || (await isBlockedBetween(currentUserId, targetUserId))) {
+      return res.status(404).json({ error: 'Target user not found' });
+    }
 
+    const currentUser = await User.findById(currentUserId, 'liked disliked passedAt matches');
+    if (!currentUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Repeat swipes are rejected before they cost anything
+    if (hasActiveSwipe(currentUser, targetUserId)) {
+      return res.status(409).json({ error: 'You have already swiped on this user' });
+    }
+
+    const quota = await consumeQuota(currentUserId, 'swipe');
+    if (!quota.ok) {
+      return sendQuotaExceeded(res, 'swipe', quota.resetAt);
+    }
+    if (quota.remaining !== null) consumedQuota = 'swipe';
+    const quotaResetAt = consumedQuota ? quota.resetAt : null;
+
+    await recordSwipeOutcome(targetUserId, direction);
+
+    if (direction === 'right') {
       const isMutual = targetUser.liked.includes(currentUserId);
       if (isMutual) {
         await User.findByIdAndUpdate(currentUserId, {
@@ -443,6 +1334,9 @@ router.post('/spinwin', authenticate, async (req, res) => {
           $pull: { liked: currentUserId, disliked: currentUserId },
         });
 
+        await createSwipe({ user: currentUserId, target: targetUserId, direction, matched: true, quotaResetAt });
+        await notifyMatch(currentUserId, targetUserId);
+
         return res.status(200).json({ message: 'Matched! Connection created.', mutual: true });
       }
     }
@@ -452,17 +1346,30 @@ router.post('/spinwin', authenticate, async (req, res) => {
         ? {
             $addToSet: { liked: targetUserId },
             $pull: { disliked: targetUserId },
+            $unset: { [`passedAt.${targetUserId}`]: '' },
           }
-        : { $addToSet: { disliked: targetUserId } };
+        : {
+            $addToSet: { disliked: targetUserId },
+            $set: { [`passedAt.${targetUserId}`]: new Date() },
+          };
 
     const updatedUser = await User.findByIdAndUpdate(currentUserId, updateActions, { new: true });
     if (!updatedUser) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    await createSwipe({ user: currentUserId, target: targetUserId, direction, quotaResetAt });
+
+    if (direction === 'right') {
+      await notify(targetUserId, 'like', { actor: currentUserId });
+    }
+
     res.status(200).json({ message: `Swiped ${direction}`, mutual: false });
   } catch (err) {
     console.error('Error handling swipe:', err);
+    if (consumedQuota) {
+      await refundQuota(req.user.id, consumedQuota).catch((refundErr) => console.error('Error refunding quota:', refundErr));
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -475,7 +1382,7 @@ router.get("/matches", authenticate, async (req, res) => {
 
     // Fetch the user with the pinnedMatches field
     const user = await User.findById(currentUserId)
-      .populate("matches", "name profilePicture")
+      .populate("matches", "name profilePicture photos")
       .select("pinnedMatches");
       
     if (!user) {
@@ -485,19 +1392,24 @@ router.get("/matches", authenticate, async (req, res) => {
 
     console.log("User Matches:", user.matches);
 
+    // Hide matches blocked in either direction
+    const blockedIds = new Set((await getBlockedUserIds(currentUserId)).map((id) => id.toString()));
+    const visibleMatches = user.matches.filter((match) => !blockedIds.has(match._id.toString()));
+
     // Separate matches into pinned and non-pinned
-    const pinnedMatches = user.matches.filter((match) => user.pinnedMatches.includes(match._id));
-    const nonPinnedMatches = user.matches.filter((match) => !user.pinnedMatches.includes(match._id));
+    const pinnedMatches = visibleMatches.filter((match) => user.pinnedMatches.includes(match._id));
+    const nonPinnedMatches = visibleMatches.filter((match) => !user.pinnedMatches.includes(match._id));
 
     // Fetch chat data for each match in both pinned and non-pinned
     const fetchMessages = async (matches) => {
       return await Promise.all(matches.map(async (match) => {
-        const chat = await Chat.findOne({
-          participants: { $all: [currentUserId, match._id] },
-        }).populate('messages');
-        
+        const chat = await Chat.findOne(
+          { participants: { $all: [currentUserId, match._id] } },
+          'lastMessage'
+        );
+
         // Get the last message or null if no messages
-        const lastMessage = chat && chat.messages.length > 0 ? chat.messages[chat.messages.length - 1] : null;
+        const lastMessage = chat ? chat.lastMessage : null;
         
         return {
           ...match.toObject(),
@@ -535,8 +1447,192 @@ router.get("/matches", authenticate, async (req, res) => {
 });
 
 
+// Unmatch - removes the match on both sides and archives the chat between the users
+const unmatchSchema = {
+  params: { userId: rules.objectId },
+  body: { reason: { type: 'string', trim: true, maxLength: 500 } },
+};
+
+router.delete('/matches/:userId', authenticate, validate(unmatchSchema), async (req, res) => {
+  const { userId: targetUserId } = req.params;
+  const { reason } = req.body;
+  const currentUserId = req.user.id;
+
+  try {
+    const currentUser = await User.findOne({ _id: currentUserId, matches: targetUserId }, '_id');
+    if (!currentUser) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    // Drop the match and pins on both sides and keep the users out of each other's discovery
+    await User.findByIdAndUpdate(currentUserId, {
+      $pull: { matches: targetUserId, pinnedMatches: targetUserId, liked: targetUserId },
+      $addToSet: { unmatched: targetUserId },
+    });
+
+    await User.findByIdAndUpdate(targetUserId, {
+      $pull: { matches: currentUserId, pinnedMatches: currentUserId, liked: currentUserId },
+      $addToSet: { unmatched: currentUserId },
+    });
+
+    const chat = await Chat.findOneAndUpdate(
+      { participants: { $all: [currentUserId, targetUserId] }, archivedAt: null },
+      { $set: { archivedAt: new Date() } },
+      { new: true }
+    );
+
+    await Unmatch.create({
+      user: currentUserId,
+      target: targetUserId,
+      chat: chat ? chat._id : null,
+      reason: reason || '',
+    });
+
+    emitToUsers([currentUserId, targetUserId], 'match:removed', {
+      userIds: [currentUserId, targetUserId],
+      chatId: chat ? chat._id : null,
+    });
+
+    res.status(200).json({ message: 'Unmatched successfully' });
+  } catch (err) {
+    console.error('Error unmatching user:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+
+// Block a user - hides both users from each other everywhere
+const userParamSchema = { params: { userId: rules.objectId } };
+
+router.post('/block/:userId', authenticate, validate(userParamSchema), async (req, res) => {
+  const { userId: targetUserId } = req.params;
+  const currentUserId = req.user.id;
+
+  if (targetUserId === currentUserId) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const targetUser = await User.exists({ _id: targetUserId });
+    if (!targetUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await User.findByIdAndUpdate(currentUserId, {
+      $addToSet: { blocked: targetUserId },
+      $pull: { pinnedMatches: targetUserId, liked: targetUserId },
+    });
+
+    // Drop likes in both directions so an old like can't turn into a match after an unblock
+    await User.updateOne({ _id: targetUserId }, { $pull: { liked: currentUserId } });
+
+    emitToUsers([currentUserId, targetUserId], 'user:blocked', { userIds: [currentUserId, targetUserId] });
+
+    res.status(200).json({ message: 'User blocked successfully' });
+  } catch (err) {
+    console.error('Error blocking user:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unblock a user
+router.delete('/block/:userId', authenticate, validate(userParamSchema), async (req, res) => {
+  const { userId: targetUserId } = req.params;
+
+  try {
+    const result = await User.updateOne(
+      { _id: req.user.id, blocked: targetUserId },
+      { $pull: { blocked: targetUserId } }
+    );
+
+    if (!result.matchedCount) {
+      return res.status(404).json({ error: 'User is not blocked' });
+    }
+
+    res.status(200).json({ message: 'User unblocked successfully' });
+  } catch (err) {
+    console.error('Error unblocking user:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List users blocked by the current user
+router.get('/blocked', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id, 'blocked').populate('blocked', 'name profilePicture username');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json(user.blocked);
+  } catch (err) {
+    console.error('Error fetching blocked users:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const REPORT_FLAG_THRESHOLD = parseInt(process.env.REPORT_FLAG_THRESHOLD) || 3;
+
+// Report a user to the moderation queue
+const reportSchema = {
+  body: {
+    userId: { ...rules.objectId, required: true },
+    category: { type: 'string', required: true, enum: Report.CATEGORIES },
+    details: { type: 'string', trim: true, maxLength: 1000 },
+    messageId: rules.objectId,
+  },
+};
+
+router.post('/report', authenticate, validate(reportSchema), async (req, res) => {
+  const { userId: reportedId, category, details, messageId } = req.body;
+  const currentUserId = req.user.id;
+
+  if (reportedId === currentUserId) {
+    return res.status(400).json({ error: 'You cannot report yourself' });
+  }
+
+  try {
+    const reportedUser = await User.findById(reportedId, 'flagged');
+    if (!reportedUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // A referenced message must have been sent by the reported user in a chat with the reporter
+    if (messageId) {
+      const message = await Message.findOne({ _id: messageId, sender: reportedId }).populate('chat', 'participants');
+      if (!message || !message.chat || !message.chat.participants.some((id) => id.toString() === currentUserId)) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+    }
+
+    const report = await Report.create({
+      reporter: currentUserId,
+      reported: reportedId,
+      category,
+      details: details || '',
+      message: messageId || null,
+    });
+
+    // Flag the account for review once enough different users have reported it
+    if (!reportedUser.flagged) {
+      const reporters = await Report.distinct('reporter', { reported: reportedId });
+      if (reporters.length >= REPORT_FLAG_THRESHOLD) {
+        reportedUser.flagged = true;
+        reportedUser.flaggedAt = new Date();
+        await reportedUser.save();
+      }
+    }
+
+    res.status(201).json({ message: 'Report submitted successfully', reportId: report._id });
+  } catch (err) {
+    console.error('Error submitting report:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+
 // Endpoint to handle connecting users
-router.post('/connect-user', authenticate, async (req, res) => {
+router.post('/connect-user', authenticate, validate({ body: { winnerId: { ...rules.objectId, required: true } } }), async (req, res) => {
   try {
     // Ensure req.user is set correctly by authenticate middleware
     if (!req.user || !req.user._id) {
@@ -569,12 +1665,16 @@ router.post('/connect-user', authenticate, async (req, res) => {
 
 
 // Pin Match - Allows users to "pin" a match to their profile
-router.put('/pin-match', authenticate, async (req, res) => {
+const pinMatchSchema = {
+  body: {
+    targetUserId: { ...rules.objectId, required: true },
+    matchId: rules.objectId, // Sent by older clients, not used
+  },
+};
+
+router.put('/pin-match', authenticate, validate(pinMatchSchema), async (req, res) => {
   try {
     const { targetUserId } = req.body; // Target user to be pinned or unpinned
-    if (!targetUserId) {
-      return res.status(400).json({ error: 'Target user ID is required' });
-    }
 
     const currentUserId = req.user.id; // Current logged-in user's ID
 
@@ -606,18 +1706,49 @@ router.put('/pin-match', authenticate, async (req, res) => {
 });
 
 
-router.get('/liked-by', authenticate, async (req, res) => {
+// Without the seeWhoLikedYou feature the list is locked: { locked, count, users } where each
+// entry only has a blurred picture and whether it was a super like
+router.get('/liked-by', authenticate, loadEntitlements, async (req, res) => {
   try {
     const currentUserId = req.user.id;
 
-    // Find all users who liked the current user
-    const users = await User.find({ liked: currentUserId }, 'name profilePicture username');
+    // Find all users who liked the current user, except blocked ones
+    const blockedIds = await getBlockedUserIds(currentUserId);
+    const users = await User.find(
+      { liked: currentUserId, _id: { $nin: blockedIds }, status: { $nin: ['banned', 'deactivated'] } },
+      'name profilePicture photos username'
+    );
 
     if (!users.length) {
       return res.status(404).json({ message: 'No users have liked you yet.' });
     }
 
-    res.status(200).json(users);
+    // Super likes are marked and listed first, most recent first
+    const superLikes = await Swipe.find(
+      { user: { $in: users.map((user) => user._id) }, target: currentUserId, direction: 'super', rewoundAt: null },
+      'user createdAt'
+    );
+    const superLikedAt = new Map(superLikes.map((swipe) => [swipe.user.toString(), swipe.createdAt]));
+
+    const likedBy = users
+      .map((user) => {
+        const at = superLikedAt.get(user._id.toString());
+        return at ? { ...user.toObject(), superLiked: true, superLikedAt: at } : { ...user.toObject(), superLiked: false };
+      })
+      .sort((a, b) => (b.superLikedAt || 0) - (a.superLikedAt || 0));
+
+    if (!hasFeature(req.entitlements, 'seeWhoLikedYou')) {
+      return res.status(200).json({
+        locked: true,
+        count: likedBy.length,
+        users: likedBy.map((user) => ({
+          blurredPicture: user.photos && user.photos.length ? user.photos[0].blurredUrl : '',
+          superLiked: user.superLiked,
+        })),
+      });
+    }
+
+    res.status(200).json(likedBy);
   } catch (err) {
     console.error('Error fetching liked-by users:', err);
     res.status(500).json({ error: 'Internal server error' });
@@ -626,41 +1757,196 @@ router.get('/liked-by', authenticate, async (req, res) => {
 
 
 
-router.post('/upload-profile-image', authenticate, upload.single('profileImage'), async (req, res) => {
-  // This is where req.user should be set if authentication passes
+// Whole-gallery changes fail with 409 when another request changed the gallery in between
+const PHOTOS_CHANGED_ERROR = 'Your photos were changed by another request. Reload them and try again';
+
+// Set the profile picture (older clients). The upload replaces the primary photo of the gallery
+router.post('/upload-profile-image', authenticate, uploadImage('profileImage'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
   try {
-    const uploadStream = cloudinary.uploader.upload_stream(
-      { resource_type: 'auto' },
-      async (error, result) => {
-        if (error) {
-          return res.status(500).json({ error: 'Error uploading image to Cloudinary' });
-        }
+    const user = await User.findById(req.user.id, 'photos photosVersion');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-        const imageUrl = result.secure_url;
-        const userId = req.user.id; // req.user should be populated by authenticate middleware
-        console.log(req.user._id);
-        const updatedUser = await User.findByIdAndUpdate(
-          userId,
-          { profilePicture: imageUrl },
-          { new: true }
-        );
+    let uploaded;
+    try {
+      uploaded = await uploadPhoto(req.file);
+    } catch (uploadErr) {
+      if (uploadErr.status === 400) {
+        return res.status(400).json({ error: uploadErr.message }); // Rejected by image validation
+      }
+      console.error('Error uploading image:', uploadErr);
+      return res.status(500).json({ error: 'Error uploading image' });
+    }
+
+    const [previousPrimary, ...rest] = user.photos;
+    const updated = await setPhotos(req.user.id, [uploaded, ...rest], user.photosVersion);
+    if (!updated) {
+      await deleteStoredPhoto(uploaded);
+      return res.status(409).json({ error: PHOTOS_CHANGED_ERROR });
+    }
+    await deleteStoredPhoto(previousPrimary);
+
+    return res.json({ profileImage: uploaded.url });
+  } catch (err) {
+    console.error('Error uploading image:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The user's photo gallery, primary photo first
+router.get('/photos', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id, 'photos profilePicture');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json({ photos: user.photos, profilePicture: user.profilePicture, maxPhotos: MAX_PHOTOS });
+  } catch (err) {
+    console.error('Error fetching photos:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a photo to the end of the gallery
+router.post('/photos', authenticate, uploadImage('photo'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  try {
+    const current = await User.findById(req.user.id, 'photos');
+    if (!current) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-        if (!updatedUser) {
-          return res.status(404).json({ error: 'User not found' });
-        }
+    if (current.photos.length >= MAX_PHOTOS) {
+      return res.status(400).json({ error: `You can have at most ${MAX_PHOTOS} photos` });
+    }
 
-        return res.json({ profileImage: imageUrl });
+    let uploaded;
+    try {
+      uploaded = await uploadPhoto(req.file);
+    } catch (uploadErr) {
+      if (uploadErr.status === 400) {
+        return res.status(400).json({ error: uploadErr.message }); // Rejected by image validation
       }
+      console.error('Error uploading photo:', uploadErr);
+      return res.status(500).json({ error: 'Error uploading image' });
+    }
+
+    // Checked again atomically in case another upload filled the gallery meanwhile
+    const user = await addPhoto(req.user.id, uploaded);
+    if (!user) {
+      await deleteStoredPhoto(uploaded);
+      return res.status(400).json({ error: `You can have at most ${MAX_PHOTOS} photos` });
+    }
+
+    res.status(201).json({
+      photo: user.photos[user.photos.length - 1],
+      photos: user.photos,
+      profilePicture: user.profilePicture,
+    });
+  } catch (err) {
+    console.error('Error adding photo:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reorder the gallery. photoIds must list every photo exactly once; the first becomes primary
+const photoOrderSchema = {
+  body: { photoIds: { type: 'array', required: true, items: rules.objectId } },
+};
+
+router.put('/photos/order', authenticate, validate(photoOrderSchema), async (req, res) => {
+  const { photoIds } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id, 'photos photosVersion');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const reordered = photoIds.map((photoId) => user.photos.id(photoId));
+    const isPermutation =
+      photoIds.length === user.photos.length &&
+      new Set(photoIds.map(String)).size === photoIds.length &&
+      reordered.every(Boolean);
+
+    if (!isPermutation) {
+      return res.status(400).json({ error: 'photoIds must list each of your photos exactly once' });
+    }
+
+    const updated = await setPhotos(req.user.id, reordered, user.photosVersion);
+    if (!updated) {
+      return res.status(409).json({ error: PHOTOS_CHANGED_ERROR });
+    }
+
+    res.status(200).json({ photos: updated.photos, profilePicture: updated.profilePicture });
+  } catch (err) {
+    console.error('Error reordering photos:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Make a photo the primary one by moving it to the front
+const photoParamSchema = { params: { photoId: rules.objectId } };
+
+router.put('/photos/:photoId/primary', authenticate, validate(photoParamSchema), async (req, res) => {
+  const { photoId } = req.params;
+
+  try {
+    const user = await User.findById(req.user.id, 'photos photosVersion');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const photo = user.photos.id(photoId);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const updated = await setPhotos(
+      req.user.id,
+      [photo, ...user.photos.filter((other) => other !== photo)],
+      user.photosVersion
     );
+    if (!updated) {
+      return res.status(409).json({ error: PHOTOS_CHANGED_ERROR });
+    }
 
-    uploadStream.end(req.file.buffer);
+    res.status(200).json({ photos: updated.photos, profilePicture: updated.profilePicture });
   } catch (err) {
-    console.error('Error uploading image:', err);
-    return res.status(500).json({ error: 'Internal server error' });
+    console.error('Error setting primary photo:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a photo and its stored image. Removing the primary promotes the next photo
+router.delete('/photos/:photoId', authenticate, validate(photoParamSchema), async (req, res) => {
+  const { photoId } = req.params;
+
+  try {
+    const user = await User.exists({ _id: req.user.id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const removed = await removePhoto(req.user.id, photoId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    await deleteStoredPhoto(removed.photo);
+
+    res.status(200).json({ photos: removed.user.photos, profilePicture: removed.user.profilePicture });
+  } catch (err) {
+    console.error('Error deleting photo:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
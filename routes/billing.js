@@ -0,0 +1,232 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/user');
+const Subscription = require('../models/subscription');
+const authenticate = require('../middleware/authenticate');
+const { validate } = require('../middleware/validate');
+const { PLANS, PAID_PLANS, getPlans, getEntitlements } = require('../services/entitlements');
+const { getProvider, getProviderName, isFakeProvider } = require('../services/payments');
+const { resetQuotaClock } = require('../services/quotas');
+
+// Subscriptions past their expiry stop granting entitlements; mark them so the history is accurate
+const expireSubscriptions = (userId) =>
+  Subscription.updateMany(
+    { user: userId, status: { $in: ['active', 'canceled'] }, expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+
+// The user's plan, features, subscription and boost balance
+const describeEntitlements = async (userId) => {
+  const [entitlements, user] = await Promise.all([
+    getEntitlements(userId),
+    User.findById(userId, 'boostCredits boostedUntil'),
+  ]);
+
+  return {
+    ...entitlements,
+    boostCredits: user ? user.boostCredits : 0,
+    boostedUntil: user ? user.boostedUntil : null,
+  };
+};
+
+// Plans that can be bought, with their features
+router.get('/plans', (req, res) => {
+  res.status(200).json({ plans: getPlans() });
+});
+
+// The user's current plan and subscription
+router.get('/subscription', authenticate, async (req, res) => {
+  try {
+    await expireSubscriptions(req.user.id);
+
+    res.status(200).json(await describeEntitlements(req.user.id));
+  } catch (err) {
+    console.error('Error fetching subscription:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const subscribeSchema = {
+  body: {
+    plan: { type: 'string', required: true, enum: PAID_PLANS },
+    paymentToken: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 200 },
+  },
+};
+
+// Pending purchases older than this are given up on, so they don't block new ones
+const PENDING_PURCHASE_MINUTES = 15;
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 200;
+
+// Take the payment for a pending subscription and activate it, replacing the user's current
+// subscription. The subscription ID is the provider's idempotency key, so finishing the same
+// purchase again never charges twice. Resolves to the subscription
+const completePurchase = async (pending, paymentToken) => {
+  const provider = getProvider();
+  const plan = PLANS[pending.plan];
+
+  const payment = await provider.purchase({
+    userId: pending.user.toString(),
+    plan: pending.plan,
+    amountCents: plan.priceCents,
+    paymentToken,
+    idempotencyKey: pending._id.toString(),
+  });
+
+  const now = new Date();
+  const activated = await Subscription.findOneAndUpdate(
+    { _id: pending._id, status: 'pending' },
+    {
+      $set: {
+        status: 'active',
+        providerRef: payment.providerRef,
+        startedAt: now,
+        expiresAt: new Date(now.getTime() + plan.durationDays * 24 * 60 * 60 * 1000),
+      },
+    },
+    { new: true }
+  );
+
+  // Another request finished this purchase first
+  if (!activated) return Subscription.findById(pending._id);
+
+  const previous = await Subscription.find({
+    user: pending.user,
+    _id: { $ne: pending._id },
+    status: { $in: ['active', 'canceled'] },
+    expiresAt: { $gt: now },
+  });
+  for (const subscription of previous) {
+    if (subscription.status === 'active') await provider.cancel({ providerRef: subscription.providerRef });
+  }
+  await Subscription.updateMany(
+    { _id: { $in: previous.map((subscription) => subscription._id) } },
+    { $set: { status: 'expired', expiresAt: now } }
+  );
+
+  // Credit the plan's boosts and refill allowances on the next request so the extras apply today
+  await User.updateOne({ _id: pending.user }, { $inc: { boostCredits: plan.features.boosts } });
+  await resetQuotaClock(pending.user);
+
+  return activated;
+};
+
+// Buy a plan. A current subscription is replaced by the new one, starting now.
+// Send an Idempotency-Key header to make retries safe: a purchase already made with the same
+// key is returned instead of charging again
+router.post('/subscribe', authenticate, validate(subscribeSchema), async (req, res) => {
+  const { plan, paymentToken } = req.body;
+  const userId = req.user.id;
+  const idempotencyKey = req.get('Idempotency-Key') || null;
+
+  if (idempotencyKey && idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters` });
+  }
+
+  try {
+    let pending = idempotencyKey ? await Subscription.findOne({ user: userId, idempotencyKey }) : null;
+
+    if (pending && pending.plan !== plan) {
+      return res.status(422).json({ error: 'Idempotency-Key was already used for a different purchase' });
+    }
+    if (pending && pending.status === 'failed') {
+      return res.status(402).json({ error: pending.failureReason || 'Payment declined', code: 'PAYMENT_DECLINED' });
+    }
+    if (pending && pending.status !== 'pending') {
+      return res.status(200).json({ message: `Subscribed to ${PLANS[plan].name}`, ...(await describeEntitlements(userId)) });
+    }
+
+    if (!pending) {
+      // Give up on purchases that never finished, then record this one before any money moves
+      await Subscription.updateMany(
+        {
+          user: userId,
+          status: 'pending',
+          createdAt: { $lt: new Date(Date.now() - PENDING_PURCHASE_MINUTES * 60 * 1000) },
+        },
+        { $set: { status: 'failed', failureReason: 'Purchase was not completed' } }
+      );
+
+      try {
+        pending = await Subscription.create({
+          user: userId,
+          plan,
+          provider: getProviderName(),
+          idempotencyKey,
+          expiresAt: new Date(),
+        });
+      } catch (createErr) {
+        if (createErr.code === 11000) {
+          return res.status(409).json({ error: 'A purchase is already in progress' });
+        }
+        throw createErr;
+      }
+    }
+
+    try {
+      await completePurchase(pending, paymentToken);
+    } catch (purchaseErr) {
+      if (purchaseErr.status === 402) {
+        await Subscription.updateOne(
+          { _id: pending._id, status: 'pending' },
+          { $set: { status: 'failed', failureReason: purchaseErr.message } }
+        );
+        return res.status(402).json({ error: purchaseErr.message, code: 'PAYMENT_DECLINED' });
+      }
+
+      // The purchase stays pending; retrying with the same Idempotency-Key finishes it
+      console.error(`Error completing purchase for subscription ${pending._id}:`, purchaseErr);
+      return res.status(500).json({ error: 'Internal server error', subscriptionId: pending._id });
+    }
+
+    res.status(201).json({ message: `Subscribed to ${PLANS[plan].name}`, ...(await describeEntitlements(userId)) });
+  } catch (err) {
+    console.error('Error creating subscription:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stop the subscription from renewing. The plan stays active until it expires
+router.post('/cancel', authenticate, async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({ user: req.user.id, status: 'active', expiresAt: { $gt: new Date() } });
+    if (!subscription) {
+      return res.status(404).json({ error: 'No active subscription' });
+    }
+
+    await getProvider().cancel({ providerRef: subscription.providerRef });
+
+    subscription.status = 'canceled';
+    subscription.canceledAt = new Date();
+    await subscription.save();
+
+    res.status(200).json({ message: 'Subscription canceled', subscription });
+  } catch (err) {
+    console.error('Error canceling subscription:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Fake provider only: end the user's subscription now, as if its period had run out
+router.post('/fake/expire', authenticate, async (req, res) => {
+  try {
+    if (!isFakeProvider()) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const result = await Subscription.updateMany(
+      { user: req.user.id, status: { $in: ['active', 'canceled'] }, expiresAt: { $gt: new Date() } },
+      { $set: { status: 'expired', expiresAt: new Date() } }
+    );
+    if (!result.modifiedCount) {
+      return res.status(404).json({ error: 'No active subscription' });
+    }
+
+    res.status(200).json({ message: 'Subscription expired', ...(await describeEntitlements(req.user.id)) });
+  } catch (err) {
+    console.error('Error expiring subscription:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
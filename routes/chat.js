@@ -4,47 +4,144 @@ const mongoose = require('mongoose');
 const User = require('../models/user');
 
 const Chat = require('../models/chat');
+const Message = require('../models/message');
 const authenticate = require('../middleware/authenticate');
+const {
+  areMatched,
+  isChatWritable,
+  requireChatParticipant,
+  requireWritableChat,
+} = require('../middleware/chatAccess');
+const { validate, rules } = require('../middleware/validate');
+const { emitToUsers } = require('../services/realtime');
+const { notify, markNotificationsRead } = require('../services/notifications');
+const { publishEvent } = require('../services/events');
+const { getBlockedUserIds, isBlockedBetween } = require('../services/blocks');
+
+// Validation errors keep this router's { success: false } response shape
+const validateChat = (schemas) => validate(schemas, { success: false });
+
+const chatParams = { chatId: rules.objectId };
 
 // Fetch all chats for the authenticated user
 router.get('/', authenticate, async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const chats = await Chat.find({ participants: userId })
+    // Archived chats and chats with blocked users are hidden
+    const blockedIds = await getBlockedUserIds(userId);
+    const chats = await Chat.find({ participants: { $eq: userId, $nin: blockedIds }, archivedAt: null })
       .populate('participants', 'name profilePicture _id') // Populate participant details
       .sort({ lastMessageAt: -1 });
 
+    // Chats with anyone the user is no longer matched with are read-only
+    const currentUser = await User.findById(userId, 'matches');
+    const matchIds = new Set((currentUser ? currentUser.matches : []).map((id) => id.toString()));
+
     const enhancedChats = chats.map((chat) => {
-      const unreadCount = chat.messages.filter(
-        (message) => !message.readBy.includes(userId)
-      ).length;
+      const unreadCount = chat.unreadCounts.get(userId) || 0;
+      const { unreadCounts, ...rest } = chat.toObject();
+      const readOnly = chat.participants.some(
+        (participant) => participant._id.toString() !== userId && !matchIds.has(participant._id.toString())
+      );
 
-      return { ...chat.toObject(), unreadCount };
+      return { ...rest, unreadCount, readOnly };
     });
 
-    res.status(200).json({ success: true, chats: enhancedChats });
+    const totalUnread = enhancedChats.reduce((sum, chat) => sum + chat.unreadCount, 0);
+
+    res.status(200).json({ success: true, chats: enhancedChats, totalUnread });
   } catch (err) {
     console.error('Error fetching chats:', err);
     res.status(500).json({ success: false, error: 'Internal server error' });
   }
 });
 
-// Fetch all messages for a specific chat
-router.get('/messages/:chatId', authenticate, async (req, res) => {
-  const { chatId } = req.params;
+// Total unread messages across all chats (badge count)
+router.get('/unread-count', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const blockedIds = await getBlockedUserIds(userId);
+    const chats = await Chat.find(
+      { participants: { $eq: userId, $nin: blockedIds }, archivedAt: null },
+      'unreadCounts'
+    );
+    const totalUnread = chats.reduce((sum, chat) => sum + (chat.unreadCounts.get(userId) || 0), 0);
 
-  if (!mongoose.Types.ObjectId.isValid(chatId)) {
-    return res.status(400).json({ success: false, error: 'Invalid chat ID.' });
+    res.status(200).json({ success: true, totalUnread });
+  } catch (err) {
+    console.error('Error fetching unread count:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+const MAX_MESSAGE_LENGTH = 2000;
+
+const messagesPageSchema = {
+  params: chatParams,
+  query: {
+    before: rules.objectId,
+    after: rules.objectId,
+    limit: { type: 'integer', min: 1 },
+  },
+};
+
+// Fetch a page of messages for a specific chat.
+// ?before=<messageId> pages back through history, ?after=<messageId> fetches newer messages;
+// without a cursor the latest page is returned. Messages are always in chronological order
+router.get('/messages/:chatId', authenticate, validateChat(messagesPageSchema), requireChatParticipant, async (req, res) => {
+  const { chat } = req;
+  const { before, after } = req.query;
+
+  if (before && after) {
+    return res.status(400).json({ success: false, error: 'Use either before or after, not both.' });
   }
 
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
   try {
-    const chat = await Chat.findById(chatId).populate('messages.sender', 'name profilePicture');
-    if (!chat) {
-      return res.status(404).json({ success: false, error: 'Chat not found.' });
-    }
+    const filter = { chat: chat._id };
+    if (before) filter._id = { $lt: before };
+    if (after) filter._id = { $gt: after };
+
+    // Fetch one extra message to know whether there is another page
+    const page = await Message.find(filter)
+      .sort({ _id: after ? 1 : -1 })
+      .limit(limit + 1)
+      .populate('sender', 'name profilePicture');
+
+    const hasMore = page.length > limit;
+    const pageMessages = page.slice(0, limit);
+    if (!after) pageMessages.reverse();
+
+    // Incoming messages are read once the viewer has read them; the viewer's own messages once
+    // every other participant has. Senders are always in readBy, so they don't count
+    const userId = req.user.id;
+    const otherParticipants = chat.participants.filter((id) => id.toString() !== userId);
+    const hasRead = (message, id) => message.readBy.some((readerId) => readerId.equals(id));
+
+    const messages = pageMessages.map((message) => {
+      const sender = message.sender && (message.sender._id || message.sender);
+      const isOwn = Boolean(sender) && sender.toString() === userId;
+
+      return {
+        ...message.toObject(),
+        isRead: isOwn ? otherParticipants.every((id) => hasRead(message, id)) : hasRead(message, userId),
+      };
+    });
 
-    res.status(200).json({ success: true, messages: chat.messages });
+    res.status(200).json({
+      success: true,
+      messages,
+      readOnly: !(await isChatWritable(chat)),
+      hasMore,
+      // Cursors for the next request in either direction
+      before: messages.length ? messages[0]._id : null,
+      after: messages.length ? messages[messages.length - 1]._id : null,
+    });
   } catch (err) {
     console.error('Error fetching messages:', err);
     res.status(500).json({ success: false, error: 'Internal server error' });
@@ -52,13 +149,22 @@ router.get('/messages/:chatId', authenticate, async (req, res) => {
 });
 
 // Create or fetch a chat
-router.post('/start', authenticate, async (req, res) => {
+const startChatSchema = { body: { targetUserId: { ...rules.objectId, required: true } } };
+
+router.post('/start', authenticate, validateChat(startChatSchema), async (req, res) => {
   try {
     const { targetUserId } = req.body;
     const userId = req.user.id;
 
-    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
-      return res.status(400).json({ success: false, error: 'Valid target user ID is required.' });
+    // Blocked users are treated as if they don't exist
+    const targetUser = await User.exists({ _id: targetUserId });
+    if (!targetUser || (await isBlockedBetween(userId, targetUserId))) {
+      return res.status(404).json({ success: false, error: 'User not found.' });
+    }
+
+    // Chats can only be opened between matched users
+    if (!(await areMatched(userId, targetUserId))) {
+      return res.status(403).json({ success: false, error: 'You can only chat with your matches.' });
     }
 
     let chat = await Chat.findOne({
@@ -68,9 +174,15 @@ router.post('/start', authenticate, async (req, res) => {
     if (!chat) {
       chat = new Chat({
         participants: [userId, targetUserId],
-        messages: [],
       });
       await chat.save();
+
+      // Let both users' chat lists pick up the new conversation
+      emitToUsers(chat.participants, 'chat:updated', {
+        chatId: chat._id,
+        lastMessageAt: chat.lastMessageAt,
+        lastMessage: null,
+      });
     }
 
     res.status(200).json({ success: true, chat });
@@ -83,39 +195,116 @@ router.post('/start', authenticate, async (req, res) => {
 
 
 
+const sendMessageSchema = {
+  params: chatParams,
+  body: { content: { type: 'string', trim: true, required: true, minLength: 1, maxLength: MAX_MESSAGE_LENGTH } },
+};
+
 // Send a message in a chat
-router.post('/:chatId/message', authenticate, async (req, res) => {
-  const { chatId } = req.params;
+router.post('/:chatId/message', authenticate, validateChat(sendMessageSchema), requireChatParticipant, requireWritableChat, async (req, res) => {
+  const { chat } = req;
   const { content } = req.body;
   const userId = req.user.id;
 
-  if (!mongoose.Types.ObjectId.isValid(chatId)) {
-    return res.status(400).json({ success: false, error: 'Invalid chat ID.' });
+  try {
+    const newMessage = await chat.addMessage({ sender: userId, content });
+
+    // Push the message and the chat list update to every participant's connected sockets
+    emitToUsers(chat.participants, 'message:new', { chatId: chat._id, message: newMessage });
+    emitToUsers(chat.participants, 'chat:updated', {
+      chatId: chat._id,
+      lastMessageAt: newMessage.createdAt,
+      lastMessage: newMessage,
+    });
+
+    const recipients = chat.participants.filter((id) => id.toString() !== userId);
+    publishEvent('message.sent', {
+      messageId: newMessage._id,
+      chatId: chat._id,
+      senderId: userId,
+      recipientIds: recipients,
+      length: newMessage.content.length, // Message content itself isn't shared
+    });
+    await Promise.all(
+      recipients.map((recipientId) =>
+        notify(recipientId, 'message', { actor: userId, chat: chat._id, preview: newMessage.content })
+      )
+    );
+
+    res.status(200).json({ success: true, message: newMessage });
+  } catch (err) {
+    console.error('Error sending message:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
   }
+});
+
+// Adds the user to readBy on every message matched by messageFilter, refreshes their unread
+// counter and tells the other participants which messages they've read
+const markMessagesRead = async (chat, userId, messageFilter, receipt) => {
+  await Message.updateMany(
+    { ...messageFilter, chat: chat._id, sender: { $ne: new mongoose.Types.ObjectId(userId) } },
+    { $addToSet: { readBy: userId } }
+  );
+
+  const unreadCount = await chat.refreshUnreadCount(userId);
 
-  if (!content.trim()) {
-    return res.status(400).json({ success: false, error: 'Message content cannot be empty.' });
+  // Once the chat is caught up, its message notification has been seen too
+  if (unreadCount === 0) {
+    await markNotificationsRead(userId, { type: 'message', chat: chat._id });
   }
 
+  const otherParticipants = chat.participants.filter((id) => id.toString() !== userId);
+  emitToUsers(otherParticipants, 'message:read', { chatId: chat._id, readBy: userId, readAt: new Date(), ...receipt });
+
+  return unreadCount;
+};
+
+// Mark a single message as read
+const readMessageSchema = { params: { ...chatParams, messageId: rules.objectId } };
+
+router.post('/:chatId/messages/:messageId/read', authenticate, validateChat(readMessageSchema), requireChatParticipant, async (req, res) => {
+  const { chat } = req;
+  const { messageId } = req.params;
+  const userId = req.user.id;
+
   try {
-    const chat = await Chat.findOneAndUpdate(
-      { _id: chatId, participants: userId },
-      {
-        $push: { messages: { sender: userId, content } },
-        $set: { lastMessageAt: Date.now() },
-      },
-      { new: true }
-    );
+    const message = await Message.exists({ _id: messageId, chat: chat._id });
+    if (!message) {
+      return res.status(404).json({ success: false, error: 'Message not found.' });
+    }
 
-    if (!chat) {
-      return res.status(404).json({ success: false, error: 'Chat not found.' });
+    const unreadCount = await markMessagesRead(chat, userId, { _id: messageId }, { messageId });
+
+    res.status(200).json({ success: true, unreadCount });
+  } catch (err) {
+    console.error('Error marking message as read:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Mark every message up to and including `upToMessageId` as read (all messages if omitted)
+const readChatSchema = { params: chatParams, body: { upToMessageId: rules.objectId } };
+
+router.post('/:chatId/read', authenticate, validateChat(readChatSchema), requireChatParticipant, async (req, res) => {
+  const { chat } = req;
+  const { upToMessageId } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const messageFilter = {};
+    if (upToMessageId) {
+      const message = await Message.exists({ _id: upToMessageId, chat: chat._id });
+      if (!message) {
+        return res.status(404).json({ success: false, error: 'Message not found.' });
+      }
+      messageFilter._id = { $lte: upToMessageId };
     }
 
-    const newMessage = chat.messages[chat.messages.length - 1];
+    const unreadCount = await markMessagesRead(chat, userId, messageFilter, { upToMessageId: upToMessageId || null });
 
-    res.status(200).json({ success: true, message: newMessage });
+    res.status(200).json({ success: true, unreadCount });
   } catch (err) {
-    console.error('Error sending message:', err);
+    console.error('Error marking messages as read:', err);
     res.status(500).json({ success: false, error: 'Internal server error' });
   }
 });
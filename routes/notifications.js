@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/user');
+const Notification = require('../models/notification');
+const authenticate = require('../middleware/authenticate');
+const { validate, rules } = require('../middleware/validate');
+const { ACTOR_FIELDS, presentNotifications, markNotificationsRead } = require('../services/notifications');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const feedPageSchema = {
+  query: {
+    before: rules.objectId,
+    limit: { type: 'integer', min: 1 },
+    unread: { type: 'boolean' },
+  },
+};
+
+// A page of the user's notifications, newest first. ?before=<notificationId> pages back,
+// ?unread=true only returns unread ones
+router.get('/', authenticate, validate(feedPageSchema), async (req, res) => {
+  const { before, unread } = req.query;
+  const limit = Math.min(req.query.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  try {
+    const filter = { user: req.user.id };
+    if (before) filter._id = { $lt: before };
+    if (unread) filter.readAt = null;
+
+    // Fetch one extra notification to know whether there is another page
+    const page = await Notification.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .populate('actor', ACTOR_FIELDS);
+
+    const hasMore = page.length > limit;
+    const notifications = await presentNotifications(req.user.id, page.slice(0, limit));
+
+    res.status(200).json({
+      notifications,
+      hasMore,
+      before: notifications.length ? notifications[notifications.length - 1]._id : null, // Cursor for the next page
+    });
+  } catch (err) {
+    console.error('Error fetching notifications:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unread notifications (badge count)
+router.get('/unread-count', authenticate, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, readAt: null });
+
+    res.status(200).json({ unreadCount });
+  } catch (err) {
+    console.error('Error fetching unread notification count:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark every notification as read
+router.post('/read-all', authenticate, async (req, res) => {
+  try {
+    const result = await markNotificationsRead(req.user.id);
+
+    res.status(200).json({ message: 'All notifications marked as read', updated: result.modifiedCount, unreadCount: 0 });
+  } catch (err) {
+    console.error('Error marking notifications as read:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Per-type notification preferences
+router.get('/preferences', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id, 'notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json(user.notificationPreferences);
+  } catch (err) {
+    console.error('Error fetching notification preferences:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const preferencesSchema = {
+  body: Object.fromEntries(Notification.TYPES.map((type) => [type, { type: 'boolean' }])),
+};
+
+// Turn notification types on or off, e.g. { "like": false }
+router.put('/preferences', authenticate, validate(preferencesSchema), async (req, res) => {
+  const updates = Object.fromEntries(
+    Object.entries(req.body).map(([type, enabled]) => [`notificationPreferences.${type}`, enabled])
+  );
+
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: updates },
+      { new: true, projection: 'notificationPreferences' }
+    );
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json({
+      message: 'Notification preferences updated successfully',
+      notificationPreferences: user.notificationPreferences,
+    });
+  } catch (err) {
+    console.error('Error updating notification preferences:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark a single notification as read
+router.post('/:notificationId/read', authenticate, validate({ params: { notificationId: rules.objectId } }), async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, user: req.user.id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    ).populate('actor', ACTOR_FIELDS);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, readAt: null });
+    const [presented] = await presentNotifications(req.user.id, [notification]);
+
+    res.status(200).json({ notification: presented, unreadCount });
+  } catch (err) {
+    console.error('Error marking notification as read:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+// backend/scripts/migrate-messages.js
+//
+// Moves messages embedded in Chat documents into the Message collection and fills in the
+// denormalized lastMessage preview and per-participant unread counters.
+// Safe to re-run: messages keep their original _id and are upserted.
+//
+// Usage: node scripts/migrate-messages.js
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Chat = require('../models/chat');
+const Message = require('../models/message');
+
+dotenv.config();
+
+const migrateChat = async (rawChat) => {
+  const messages = rawChat.messages || [];
+
+  if (messages.length) {
+    await Message.bulkWrite(
+      messages.map((message) => ({
+        updateOne: {
+          filter: { _id: message._id },
+          update: {
+            $setOnInsert: {
+              chat: rawChat._id,
+              sender: message.sender,
+              content: message.content,
+              createdAt: message.createdAt,
+            },
+            $addToSet: { readBy: { $each: [...(message.readBy || []), message.sender] } },
+          },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  const last = messages[messages.length - 1];
+
+  const unreadCounts = {};
+  rawChat.participants.forEach((participantId) => {
+    unreadCounts[participantId.toString()] = messages.filter(
+      (message) =>
+        !message.sender.equals(participantId) &&
+        !(message.readBy || []).some((readerId) => readerId.equals(participantId))
+    ).length;
+  });
+
+  // Write through the raw collection so the old `messages` field can be removed
+  await Chat.collection.updateOne(
+    { _id: rawChat._id },
+    {
+      $set: {
+        lastMessage: last
+          ? { _id: last._id, sender: last.sender, content: last.content, createdAt: last.createdAt }
+          : null,
+        unreadCounts,
+      },
+      $unset: { messages: '' },
+    }
+  );
+
+  return messages.length;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_DB_URI);
+  console.log('Connected to MongoDB');
+
+  let chatCount = 0;
+  let messageCount = 0;
+
+  const cursor = Chat.collection.find({ messages: { $exists: true } });
+  for await (const rawChat of cursor) {
+    messageCount += await migrateChat(rawChat);
+    chatCount += 1;
+  }
+
+  console.log(`Migrated ${messageCount} messages from ${chatCount} chats`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Message migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,43 @@
+// backend/scripts/migrate-photos.js
+//
+// Seeds the photo gallery of users who only have the old single profilePicture, so it becomes
+// their primary photo. The stored asset ID isn't known for these, so deleting such a photo
+// leaves the stored image in place.
+// Safe to re-run: only users with an empty gallery are touched.
+//
+// Usage: node scripts/migrate-photos.js
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/user');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_DB_URI);
+  console.log('Connected to MongoDB');
+
+  let userCount = 0;
+
+  const cursor = User.find(
+    { profilePicture: { $nin: [null, ''] }, $or: [{ photos: { $exists: false } }, { photos: { $size: 0 } }] },
+    'profilePicture'
+  ).cursor();
+
+  for await (const user of cursor) {
+    await User.updateOne(
+      { _id: user._id, $or: [{ photos: { $exists: false } }, { photos: { $size: 0 } }] },
+      { $set: { photos: [{ url: user.profilePicture, storageId: null }] } }
+    );
+    userCount += 1;
+  }
+
+  console.log(`Migrated profile pictures of ${userCount} users`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Photo migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,42 @@
+// backend/scripts/migrate-verified.js
+//
+// Marks accounts created before email verification was released as verified, so they stay in
+// discovery (which only shows verified accounts). Accounts that were still 'inactive', the old
+// default status, become 'active' as they would after verifying. Banned and deactivated
+// accounts keep their status.
+// Safe to re-run: only unverified accounts created before the cutoff are touched.
+//
+// Usage: node scripts/migrate-verified.js <cutoff>, where cutoff is the date (ISO 8601) email
+// verification went live, e.g. 2024-06-01T00:00:00Z
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/user');
+
+dotenv.config();
+
+const [cutoffArg] = process.argv.slice(2);
+
+const run = async () => {
+  const cutoff = new Date(cutoffArg);
+  if (!cutoffArg || Number.isNaN(cutoff.getTime())) {
+    throw new Error('Usage: node scripts/migrate-verified.js <cutoff>');
+  }
+
+  await mongoose.connect(process.env.MONGO_DB_URI);
+  console.log('Connected to MongoDB');
+
+  const filter = { isVerified: false, createdAt: { $lt: cutoff } };
+
+  const activated = await User.updateMany({ ...filter, status: 'inactive' }, { $set: { isVerified: true, status: 'active' } });
+  const verified = await User.updateMany(filter, { $set: { isVerified: true } });
+
+  console.log(`Marked ${activated.modifiedCount + verified.modifiedCount} accounts created before ${cutoff.toISOString()} as verified`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Verification migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
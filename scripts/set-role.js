@@ -0,0 +1,35 @@
+// backend/scripts/set-role.js
+//
+// Grants a role to an existing user, e.g. to create the first admin.
+//
+// Usage: node scripts/set-role.js <email> <user|moderator|admin>
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/user');
+
+dotenv.config();
+
+const [email, role] = process.argv.slice(2);
+
+const run = async () => {
+  if (!email || !['user', 'moderator', 'admin'].includes(role)) {
+    throw new Error('Usage: node scripts/set-role.js <email> <user|moderator|admin>');
+  }
+
+  await mongoose.connect(process.env.MONGO_DB_URI);
+
+  const user = await User.findOneAndUpdate({ email }, { $set: { role } }, { new: true });
+  if (!user) {
+    throw new Error(`No user found with email ${email}`);
+  }
+
+  console.log(`${user.email} is now ${user.role}`);
+};
+
+run()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
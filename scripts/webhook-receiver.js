@@ -0,0 +1,51 @@
+// backend/scripts/webhook-receiver.js
+//
+// Local stand-in for a webhook consumer. Prints every event it receives and checks its
+// signature, so delivery can be tried without a real analytics or CRM endpoint. Point the app
+// at it with WEBHOOK_ENDPOINTS='[{"url":"http://localhost:4000/webhooks","secret":"dev-secret"}]'
+// (add "includePersonalData": true to also receive fields such as the user's email).
+// Set WEBHOOK_RECEIVER_FAIL_RATE (0 to 1) to answer some requests with a 500 and exercise retries.
+//
+// Usage: node scripts/webhook-receiver.js [port] [secret]
+
+const http = require('http');
+const dotenv = require('dotenv');
+const { verifySignature } = require('../services/webhooks');
+
+dotenv.config();
+
+const port = parseInt(process.argv[2]) || parseInt(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+const secret = process.argv[3] || process.env.WEBHOOK_RECEIVER_SECRET || 'dev-secret';
+const failRate = parseFloat(process.env.WEBHOOK_RECEIVER_FAIL_RATE) || 0;
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString();
+
+    if (!verifySignature(secret, req.headers['x-webhook-signature'], body)) {
+      console.log(`Rejected ${req.headers['x-webhook-event']} (${req.headers['x-webhook-id']}): bad signature`);
+      res.writeHead(401).end();
+      return;
+    }
+
+    if (Math.random() < failRate) {
+      console.log(`Failing ${req.headers['x-webhook-event']} (${req.headers['x-webhook-id']}) on purpose`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    console.log(`Received ${req.headers['x-webhook-event']} (${req.headers['x-webhook-id']})\n${body}`);
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
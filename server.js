@@ -4,9 +4,17 @@ const dotenv = require('dotenv');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const path = require('path'); // Required to serve static files
+const http = require('http');
 
 const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat'); // Include the chat routes
+const adminRoutes = require('./routes/admin');
+const notificationRoutes = require('./routes/notifications');
+const billingRoutes = require('./routes/billing');
+const { initRealtime } = require('./services/realtime');
+const { startQuotaResetJob } = require('./services/quotas');
+const { getLocalUploadDir } = require('./services/imageStorage');
+const { startWebhookDelivery } = require('./services/webhooks');
 
 dotenv.config();
 
@@ -20,11 +28,21 @@ app.use(bodyParser.json());
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/chat', chatRoutes); // Add chat routes
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/billing', billingRoutes);
+
+// Images saved by the local image storage backend (dev and test)
+app.use('/uploads', express.static(getLocalUploadDir()));
 
 // MongoDB Connection
 mongoose
   .connect(process.env.MONGO_DB_URI, { useNewUrlParser: true, useUnifiedTopology: true })
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    startQuotaResetJob(); // Refill daily swipe/spin allowances on schedule
+    startWebhookDelivery(); // Send domain events to the configured webhook endpoints
+  })
   .catch((err) => console.error('MongoDB connection failed:', err));
 
 // Serve Static Files (React Frontend)
@@ -43,7 +61,10 @@ app.use((err, req, res, next) => {
   res.status(err.status || 500).json({ error: err.message || 'Internal Server Error' });
 });
 
-// Start Server
-app.listen(PORT, () => {
+// Start Server (HTTP + WebSockets on the same port)
+const server = http.createServer(app);
+initRealtime(server);
+
+server.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
@@ -0,0 +1,48 @@
+// backend/services/audit.js
+
+const AuditLog = require('../models/auditLog');
+
+// Record an admin action taken by the authenticated user on this request
+const recordAudit = (
+  req,
+  action,
+  { targetUser = null, targetType = null, targetId = null, details = {} } = {},
+  outcome = 'succeeded'
+) =>
+  AuditLog.create({
+    actor: req.user.id,
+    actorRole: req.user.role,
+    action,
+    targetUser,
+    targetType,
+    targetId,
+    details,
+    ip: req.ip || '',
+    outcome,
+  });
+
+// Log a privileged action before running it. The entry is written as 'pending' first, so if
+// the log can't be written the action never runs; afterwards it is settled as 'succeeded' or
+// 'failed'. Resolves to run()'s result and rethrows its error
+const auditAction = async (req, action, fields, run) => {
+  const entry = await recordAudit(req, action, fields, 'pending');
+
+  const settle = (outcome, error = '') =>
+    AuditLog.updateOne(
+      { _id: entry._id, outcome: 'pending' },
+      { $set: { outcome, error, completedAt: new Date() } }
+    ).catch((err) => console.error(`Error settling audit entry ${entry._id}:`, err));
+
+  let result;
+  try {
+    result = await run();
+  } catch (err) {
+    await settle('failed', err.message);
+    throw err;
+  }
+
+  await settle('succeeded');
+  return result;
+};
+
+module.exports = { recordAudit, auditAction };
@@ -0,0 +1,27 @@
+// backend/services/blocks.js
+
+const User = require('../models/user');
+
+// IDs of everyone hidden from the user by a block, in either direction
+const getBlockedUserIds = async (userId) => {
+  const [user, blockedBy] = await Promise.all([
+    User.findById(userId, 'blocked'),
+    User.find({ blocked: userId }, '_id'),
+  ]);
+
+  return [...(user ? user.blocked : []), ...blockedBy.map((blocker) => blocker._id)];
+};
+
+// True when either user has blocked the other
+const isBlockedBetween = async (userId, otherUserId) => {
+  const block = await User.exists({
+    $or: [
+      { _id: userId, blocked: otherUserId },
+      { _id: otherUserId, blocked: userId },
+    ],
+  });
+
+  return Boolean(block);
+};
+
+module.exports = { getBlockedUserIds, isBlockedBetween };
@@ -0,0 +1,163 @@
+// backend/services/deck.js
+
+const User = require('../models/user');
+const Deck = require('../models/deck');
+const {
+  RECYCLE_PASSES_WHEN_EXHAUSTED,
+  buildDiscoveryFilter,
+  hasLocation,
+  buildGeoStages,
+} = require('./discovery');
+const { rankCandidates } = require('./ranking');
+
+const DECK_SIZE = parseInt(process.env.DECK_SIZE) || 200;
+const DECK_TTL_MINUTES = parseInt(process.env.DECK_TTL_MINUTES) || 60;
+
+// Fields read from candidates for scoring
+const SCORING_FIELDS = {
+  name: 1,
+  dob: 1,
+  gender: 1,
+  interestedIn: 1,
+  bio: 1,
+  profilePicture: 1,
+  photos: 1,
+  university: 1,
+  lastLogin: 1,
+  swipeStats: 1,
+  discoveryPreferences: 1,
+  boostedUntil: 1,
+};
+
+// Fields returned on discovery cards
+const CARD_FIELDS =
+  'name profilePicture photos dob gender interestedIn bio university course yearOfStudy heightCm languages interests prompts lifestyle';
+
+// Cursors are opaque to clients: base64 of "<deckId>:<offset>"
+const encodeCursor = (deckId, offset) => Buffer.from(`${deckId}:${offset}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [deckId, offset] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  const parsedOffset = parseInt(offset);
+  if (!/^[a-f0-9]{24}$/.test(deckId || '') || !Number.isInteger(parsedOffset) || parsedOffset < 0) return null;
+  return { deckId, offset: parsedOffset };
+};
+
+const fetchRecentlyActive = (filter, limit) =>
+  User.find(filter, SCORING_FIELDS).sort({ lastLogin: -1 }).limit(limit).lean();
+
+// Nearby candidates when the viewer has a location, otherwise the most recently active.
+// $geoNear only sees users with a location, so for a located viewer the rest of the deck is
+// filled with the most recently active users who haven't shared theirs
+const fetchCandidates = async (viewer, filter, limit) => {
+  if (!hasLocation(viewer)) return fetchRecentlyActive(filter, limit);
+
+  const nearby = await User.aggregate([
+    ...buildGeoStages(viewer, filter),
+    { $limit: limit },
+    { $project: { ...SCORING_FIELDS, distance: 1 } },
+  ]);
+  if (nearby.length >= limit) return nearby;
+
+  return [...nearby, ...(await fetchRecentlyActive({ ...filter, location: null }, limit - nearby.length))];
+};
+
+// Candidates who already liked the viewer, as a set of ID strings
+const getLikedViewer = async (viewer, candidates) => {
+  const users = await User.find({ _id: { $in: candidates.map((candidate) => candidate._id) }, liked: viewer._id }, '_id');
+  return new Set(users.map((user) => user._id.toString()));
+};
+
+// Score every eligible candidate for the viewer and store the ranked snapshot. When there
+// aren't enough new people, previously passed profiles are ranked and appended after them
+const buildDeck = async (viewer) => {
+  const filter = { ...(await buildDiscoveryFilter(viewer)), name: { $nin: [null, ''] } };
+  const candidates = await fetchCandidates(viewer, filter, DECK_SIZE);
+
+  let recycled = [];
+  if (RECYCLE_PASSES_WHEN_EXHAUSTED && candidates.length < DECK_SIZE && viewer.disliked.length) {
+    const recycleFilter = await buildDiscoveryFilter(viewer, { passesSince: false });
+    const alreadyIncluded = candidates.map((candidate) => candidate._id);
+
+    recycled = await fetchCandidates(
+      viewer,
+      {
+        ...recycleFilter,
+        name: { $nin: [null, ''] },
+        _id: { $in: viewer.disliked, $nin: [...recycleFilter._id.$nin, ...alreadyIncluded] },
+      },
+      DECK_SIZE - candidates.length
+    );
+  }
+
+  const likedViewer = await getLikedViewer(viewer, [...candidates, ...recycled]);
+  const toEntry = (recycledEntry) => ({ candidate, score }) => ({
+    candidate: candidate._id,
+    score,
+    distance: candidate.distance,
+    recycled: recycledEntry,
+  });
+
+  return Deck.create({
+    user: viewer._id,
+    entries: [
+      ...rankCandidates(viewer, candidates, { likedViewer }).map(toEntry(false)),
+      ...rankCandidates(viewer, recycled, { likedViewer }).map(toEntry(true)),
+    ],
+    expiresAt: new Date(Date.now() + DECK_TTL_MINUTES * 60 * 1000),
+  });
+};
+
+// The viewer's newest deck that hasn't expired, building one if needed
+const getCurrentDeck = async (viewer, { rebuild = false } = {}) => {
+  if (!rebuild) {
+    const deck = await Deck.findOne({ user: viewer._id, expiresAt: { $gt: new Date() } }).sort({ createdAt: -1 });
+    if (deck) return deck;
+  }
+
+  return buildDeck(viewer);
+};
+
+// Load `limit` cards from the deck starting at `offset`, after any profiles in the viewer's
+// deckPriority. The discovery filter is re-applied so people swiped, matched or blocked since
+// the deck was built drop out
+const getDeckPage = async (viewer, deck, offset, limit) => {
+  // Passes made before the deck was built (including undated ones) were already accounted for
+  // when it was built
+  const filter = await buildDiscoveryFilter(viewer, { passesSince: deck.createdAt, hideUndatedPasses: false });
+  const loadCards = (ids) => User.find({ ...filter, _id: { $in: ids, $nin: filter._id.$nin } }, CARD_FIELDS).lean();
+
+  const priorityIds = (viewer.deckPriority || []).slice(0, limit);
+  const priorityUsers = priorityIds.length ? await loadCards(priorityIds) : [];
+  const priorityById = new Map(priorityUsers.map((user) => [user._id.toString(), user]));
+  const priorityCards = priorityIds
+    .filter((id) => priorityById.has(id.toString()))
+    .map((id) => priorityById.get(id.toString()));
+
+  // Served (or no longer eligible) priority profiles are done with
+  if (priorityIds.length) {
+    await User.updateOne({ _id: viewer._id }, { $pull: { deckPriority: { $in: priorityIds } } });
+  }
+
+  const entries = deck.entries
+    .slice(offset, offset + limit - priorityCards.length)
+    .filter((entry) => !priorityById.has(entry.candidate.toString()));
+
+  const users = await loadCards(entries.map((entry) => entry.candidate));
+  const byId = new Map(users.map((user) => [user._id.toString(), user]));
+
+  const cards = entries
+    .filter((entry) => byId.has(entry.candidate.toString()))
+    .map((entry) => ({ ...byId.get(entry.candidate.toString()), distance: entry.distance, recycled: entry.recycled }));
+
+  const nextOffset = offset + Math.max(limit - priorityCards.length, 0);
+  return {
+    cards: [...priorityCards, ...cards],
+    nextCursor: nextOffset < deck.entries.length ? encodeCursor(deck._id, nextOffset) : null,
+  };
+};
+
+// Drop the user's stored decks so the next request builds a fresh one
+const clearDecks = (userId) => Deck.deleteMany({ user: userId });
+
+module.exports = { encodeCursor, decodeCursor, getCurrentDeck, getDeckPage, clearDecks };
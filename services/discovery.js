@@ -0,0 +1,183 @@
+// backend/services/discovery.js
+
+const mongoose = require('mongoose');
+const { getBlockedUserIds } = require('./blocks');
+const { DEFAULT_RADIUS_KM } = require('./location');
+
+// Fields of the viewer needed to build a discovery query
+const DISCOVERY_VIEWER_FIELDS =
+  'interestedIn gender dob university interests liked disliked passedAt matches unmatched deckPriority discoveryPreferences location';
+
+// Passed (left-swiped) profiles come back after this many days; 0 keeps them out for good
+const PASS_RECYCLE_DAYS = process.env.PASS_RECYCLE_DAYS !== undefined ? parseInt(process.env.PASS_RECYCLE_DAYS) : 30;
+
+// Whether passed profiles are offered again once there is no one new left to show
+const RECYCLE_PASSES_WHEN_EXHAUSTED = process.env.RECYCLE_PASSES_WHEN_EXHAUSTED !== 'false';
+
+const MIN_AGE = 18;
+const MAX_AGE = 100;
+
+// Genders the viewer wants to see
+const getGenderFilter = (interestedIn) => {
+  if (interestedIn === 'Male') return ['Male'];
+  if (interestedIn === 'Female') return ['Female'];
+  if (interestedIn === 'Both') return ['Male', 'Female', 'Other'];
+  return [];
+};
+
+// interestedIn values of candidates who would want to see someone of this gender
+const getInterestedInValuesFor = (gender) => {
+  if (gender === 'Male') return ['Male', 'Both'];
+  if (gender === 'Female') return ['Female', 'Both'];
+  return ['Both'];
+};
+
+const getAge = (dob, now = new Date()) => {
+  const birth = new Date(dob);
+  let age = now.getFullYear() - birth.getFullYear();
+  const beforeBirthday =
+    now.getMonth() < birth.getMonth() || (now.getMonth() === birth.getMonth() && now.getDate() < birth.getDate());
+  if (beforeBirthday) age -= 1;
+  return age;
+};
+
+const yearsAgo = (years, now) => {
+  const date = new Date(now);
+  date.setFullYear(date.getFullYear() - years);
+  return date;
+};
+
+// dob condition for candidates aged between minAge and maxAge (inclusive)
+const getDobRange = (minAge, maxAge, now = new Date()) => {
+  const range = { $ne: null };
+  if (minAge) range.$lte = yearsAgo(minAge, now);
+  if (maxAge) range.$gt = yearsAgo(maxAge + 1, now);
+  return range;
+};
+
+// Start of the window in which a pass still hides a profile (null: passes never expire)
+const getPassWindowStart = (now = new Date()) =>
+  PASS_RECYCLE_DAYS > 0 ? new Date(now.getTime() - PASS_RECYCLE_DAYS * 24 * 60 * 60 * 1000) : null;
+
+// Passed profiles still hidden: those passed at or after `since`, all of them if since is null,
+// none if since is false. Passes from before passedAt was recorded have no date; they stay
+// hidden unless `hideUndated` is false
+const getHiddenPasses = (viewer, since, { hideUndated = true } = {}) => {
+  if (since === false) return [];
+
+  return (viewer.disliked || []).filter((id) => {
+    if (!since) return true;
+    const passedAt = viewer.passedAt && viewer.passedAt.get(id.toString());
+    return passedAt ? passedAt >= since : hideUndated;
+  });
+};
+
+// Whether the viewer's swipe on the target is still in effect: liked, matched, or passed and
+// still hidden. Passes that have been recycled can be swiped again
+const hasActiveSwipe = (viewer, targetId) => {
+  const id = targetId.toString();
+  const includes = (list) => (list || []).some((entry) => entry.toString() === id);
+
+  return includes(viewer.liked) || includes(viewer.matches) || includes(getHiddenPasses(viewer, getPassWindowStart()));
+};
+
+// Base Mongo filter for profiles the viewer may be shown: not excluded, verified, not banned,
+// within the viewer's preferences, and with preferences of their own that include the viewer.
+// `passesSince` and `hideUndatedPasses` override which passes are still hidden (see getHiddenPasses)
+const buildDiscoveryFilter = async (viewer, { passesSince = getPassWindowStart(), hideUndatedPasses = true } = {}) => {
+  const { liked, matches, unmatched, interestedIn, gender, dob, university } = viewer;
+  const preferences = viewer.discoveryPreferences || {};
+
+  const blockedIds = await getBlockedUserIds(viewer._id);
+  const hiddenPasses = getHiddenPasses(viewer, passesSince, { hideUndated: hideUndatedPasses });
+  const excludeIds = [...liked, ...matches, ...unmatched, ...hiddenPasses, ...blockedIds, viewer._id].map(
+    (id) => new mongoose.Types.ObjectId(id.toString())
+  );
+
+  const filter = {
+    _id: { $nin: excludeIds },
+    isVerified: true, // Only show verified accounts. Older accounts are verified by scripts/migrate-verified.js
+    status: { $nin: ['banned', 'deactivated'] },
+    dob: getDobRange(preferences.minAge, preferences.maxAge),
+    gender: { $in: getGenderFilter(interestedIn) },
+    interestedIn: { $ne: null },
+  };
+  const conditions = [];
+
+  // The viewer's university preference
+  if (preferences.sameUniversityOnly && university) {
+    filter.university = university;
+  } else if (preferences.universities && preferences.universities.length) {
+    filter.university = { $in: preferences.universities };
+  }
+
+  // Two-way compatibility: the candidate must be interested in the viewer's gender ...
+  if (gender) {
+    filter.interestedIn = { $in: getInterestedInValuesFor(gender) };
+  }
+
+  // ... their age range must include the viewer ...
+  if (dob) {
+    const viewerAge = getAge(dob);
+    conditions.push(
+      { $or: [{ 'discoveryPreferences.minAge': null }, { 'discoveryPreferences.minAge': { $lte: viewerAge } }] },
+      { $or: [{ 'discoveryPreferences.maxAge': null }, { 'discoveryPreferences.maxAge': { $gte: viewerAge } }] }
+    );
+  }
+
+  // ... and their university preference must include the viewer's university
+  conditions.push(
+    { $or: [{ 'discoveryPreferences.sameUniversityOnly': { $ne: true } }, { university: university || null }] },
+    {
+      $or: [
+        { 'discoveryPreferences.universities': { $size: 0 } },
+        { 'discoveryPreferences.universities': null },
+        { 'discoveryPreferences.universities': university || null },
+      ],
+    }
+  );
+
+  filter.$and = conditions;
+  return filter;
+};
+
+const hasLocation = (user) => Boolean(user.location && user.location.coordinates && user.location.coordinates.length);
+
+// Aggregation stages that keep candidates within the viewer's radius (and the viewer within
+// theirs), sorted nearest first, with the distance in meters as `distance`
+const buildGeoStages = (viewer, filter) => {
+  const preferences = viewer.discoveryPreferences || {};
+  const radiusKm = preferences.maxDistanceKm || DEFAULT_RADIUS_KM;
+
+  return [
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: viewer.location.coordinates },
+        distanceField: 'distance',
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: filter,
+      },
+    },
+    {
+      $match: {
+        $or: [
+          { 'discoveryPreferences.maxDistanceKm': null },
+          { $expr: { $lte: ['$distance', { $multiply: ['$discoveryPreferences.maxDistanceKm', 1000] }] } },
+        ],
+      },
+    },
+  ];
+};
+
+module.exports = {
+  DISCOVERY_VIEWER_FIELDS,
+  MIN_AGE,
+  MAX_AGE,
+  RECYCLE_PASSES_WHEN_EXHAUSTED,
+  getAge,
+  hasActiveSwipe,
+  buildDiscoveryFilter,
+  hasLocation,
+  buildGeoStages,
+};
@@ -0,0 +1,53 @@
+// backend/services/entitlements.js
+
+const Subscription = require('../models/subscription');
+
+// Plans and the features they unlock. extraSpins/extraRewinds are added to the daily
+// allowances; boosts are credited once per subscription period
+const PLANS = {
+  free: {
+    name: 'Free',
+    priceCents: 0,
+    durationDays: null,
+    features: { seeWhoLikedYou: false, unlimitedSwipes: false, extraSpins: 0, extraRewinds: 0, boosts: 0 },
+  },
+  plus: {
+    name: 'Plus',
+    priceCents: 499,
+    durationDays: 30,
+    features: { seeWhoLikedYou: false, unlimitedSwipes: true, extraSpins: 2, extraRewinds: 4, boosts: 1 },
+  },
+  gold: {
+    name: 'Gold',
+    priceCents: 999,
+    durationDays: 30,
+    features: { seeWhoLikedYou: true, unlimitedSwipes: true, extraSpins: 5, extraRewinds: 9, boosts: 4 },
+  },
+};
+
+const PAID_PLANS = Object.keys(PLANS).filter((key) => PLANS[key].priceCents > 0);
+
+const getPlans = () => Object.entries(PLANS).map(([id, plan]) => ({ id, ...plan }));
+
+// The subscription currently granting entitlements, or null
+const getActiveSubscription = (userId, now = new Date()) =>
+  Subscription.findOne({ user: userId, status: { $in: ['active', 'canceled'] }, expiresAt: { $gt: now } }).sort({
+    expiresAt: -1,
+  });
+
+// Resolves to { plan, features, subscription }. Users without a current subscription get
+// the free plan
+const getEntitlements = async (userId) => {
+  const subscription = await getActiveSubscription(userId);
+  const planId = subscription && PLANS[subscription.plan] ? subscription.plan : 'free';
+
+  return { plan: planId, features: { ...PLANS[planId].features }, subscription: planId === 'free' ? null : subscription };
+};
+
+// Whether the entitlements unlock a feature (a true flag or a positive amount)
+const hasFeature = (entitlements, feature) => {
+  const value = entitlements.features[feature];
+  return typeof value === 'number' ? value > 0 : Boolean(value);
+};
+
+module.exports = { PLANS, PAID_PLANS, getPlans, getActiveSubscription, getEntitlements, hasFeature };
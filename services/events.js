@@ -0,0 +1,39 @@
+// backend/services/events.js
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Domain events published by the app. Subscribers get an envelope:
+// { id, type, occurredAt, data }
+const EVENT_TYPES = ['user.registered', 'swipe.created', 'match.created', 'message.sent', 'user.banned'];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Listen to one event type, or every event with '*'
+const subscribe = (type, handler) => {
+  if (type !== '*' && !EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+  bus.on(type, handler);
+};
+
+// Publish an event to its subscribers. Subscriber failures are logged and never reach the
+// caller, so publishing can't break the request that caused the event
+const publishEvent = (type, data) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  const event = { id: crypto.randomUUID(), type, occurredAt: new Date().toISOString(), data };
+
+  for (const handler of [...bus.listeners(type), ...bus.listeners('*')]) {
+    Promise.resolve()
+      .then(() => handler(event))
+      .catch((err) => console.error(`Event subscriber for ${type} failed:`, err));
+  }
+
+  return event;
+};
+
+module.exports = { EVENT_TYPES, subscribe, publishEvent };
@@ -0,0 +1,110 @@
+// backend/services/imageStorage.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Every image is stored as a set of named files (variants) under one storage ID, so a single
+// ID is enough to find or delete all of them
+
+const getLocalUploadDir = () => process.env.IMAGE_UPLOAD_DIR || path.join(__dirname, '..', 'tmp', 'uploads');
+
+// Writes images to disk; server.js serves them under /uploads. Meant for dev and test
+const createLocalStorage = () => {
+  const uploadDir = getLocalUploadDir();
+  const publicUrl = (process.env.IMAGE_PUBLIC_URL || '/uploads').replace(/\/$/, '');
+
+  return {
+    save: async ({ storageId, name, buffer }) => {
+      const dir = path.join(uploadDir, storageId);
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, `${name}.jpg`), buffer);
+      return `${publicUrl}/${storageId}/${name}.jpg`;
+    },
+    remove: (storageId) => fs.promises.rm(path.join(uploadDir, storageId), { recursive: true, force: true }),
+  };
+};
+
+const createCloudinaryStorage = () => {
+  // Loaded lazily so Cloudinary is only configured when this backend is used
+  const cloudinary = require('cloudinary').v2;
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+
+  return {
+    save: ({ storageId, name, buffer }) =>
+      new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+          { resource_type: 'image', public_id: `${storageId}/${name}`, overwrite: true },
+          (error, result) => (error ? reject(error) : resolve(result.secure_url))
+        );
+        uploadStream.end(buffer);
+      }),
+    // Also matches images uploaded before variants existed, whose public ID is the storage ID itself
+    remove: (storageId) => cloudinary.api.delete_resources_by_prefix(storageId),
+  };
+};
+
+const backends = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage,
+};
+
+let activeStorage = null;
+
+// IMAGE_STORAGE, or local disk outside production. Created on first use
+const getStorage = () => {
+  if (!activeStorage) {
+    const defaultName = process.env.NODE_ENV === 'production' ? 'cloudinary' : 'local';
+    const name = process.env.IMAGE_STORAGE || defaultName;
+    const factory = backends[name];
+
+    if (!factory) {
+      throw new Error(`Unknown image storage: ${name}`);
+    }
+
+    activeStorage = factory();
+  }
+
+  return activeStorage;
+};
+
+// Store images somewhere else (e.g. S3). The backend needs async save({ storageId, name, buffer })
+// resolving to the public URL, and remove(storageId) deleting every file under the ID
+const setStorage = (storage) => {
+  activeStorage = storage;
+};
+
+// Store every variant of an image. Resolves to { storageId, urls: { [variant]: url } }
+const storeImage = async (variants, prefix = 'images') => {
+  const storageId = `${prefix}/${crypto.randomUUID()}`;
+  const storage = getStorage();
+  const urls = {};
+
+  try {
+    for (const [name, buffer] of Object.entries(variants)) {
+      urls[name] = await storage.save({ storageId, name, buffer });
+    }
+  } catch (err) {
+    await deleteImage(storageId); // Don't leave partial uploads behind
+    throw err;
+  }
+
+  return { storageId, urls };
+};
+
+// Delete all variants of a stored image. Failures are logged, not thrown
+const deleteImage = async (storageId) => {
+  if (!storageId) return;
+
+  try {
+    await getStorage().remove(storageId);
+  } catch (err) {
+    console.error('Error deleting stored image:', err);
+  }
+};
+
+module.exports = { getLocalUploadDir, setStorage, storeImage, deleteImage };
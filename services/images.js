@@ -0,0 +1,93 @@
+// backend/services/images.js
+
+const sharp = require('sharp');
+
+// Upload rules, configurable per deployment
+const MAX_IMAGE_BYTES = (parseInt(process.env.MAX_IMAGE_SIZE_MB) || 5) * 1024 * 1024;
+const MIN_IMAGE_DIMENSION = parseInt(process.env.MIN_IMAGE_DIMENSION) || 200;
+const MAX_IMAGE_DIMENSION = parseInt(process.env.MAX_IMAGE_DIMENSION) || 8000;
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Sizes generated for every upload. `full` is what profilePicture and the gallery show;
+// `blurred` is the locked preview free users get on the "liked you" list (stored apart from the rest)
+const VARIANTS = {
+  full: { width: 1600, height: 1600, fit: 'inside' },
+  card: { width: 600, height: 800, fit: 'cover' },
+  thumb: { width: 150, height: 150, fit: 'cover' },
+  blurred: { width: 150, height: 150, fit: 'cover', blur: 20 },
+};
+
+const invalidImage = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+// The MIME type the file content actually is, from its leading bytes, or null if not allowed
+const detectMimeType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+// Check an uploaded file (as given by multer) before any processing. Throws a 400 error
+const validateImage = async ({ buffer, mimetype, size }) => {
+  if (!ALLOWED_MIME_TYPES.includes(mimetype)) {
+    throw invalidImage('Only JPEG, PNG and WebP images are allowed');
+  }
+
+  if (size > MAX_IMAGE_BYTES) {
+    throw invalidImage(`Images must be at most ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`);
+  }
+
+  // The declared type comes from the client; the content has to agree with it
+  if (detectMimeType(buffer) !== mimetype) {
+    throw invalidImage('File content does not match its image type');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw invalidImage('Image could not be read');
+  }
+
+  const { width, height } = metadata;
+  if (!width || !height || Math.min(width, height) < MIN_IMAGE_DIMENSION) {
+    throw invalidImage(`Images must be at least ${MIN_IMAGE_DIMENSION}x${MIN_IMAGE_DIMENSION} pixels`);
+  }
+  if (Math.max(width, height) > MAX_IMAGE_DIMENSION) {
+    throw invalidImage(`Images must be at most ${MAX_IMAGE_DIMENSION} pixels on each side`);
+  }
+};
+
+// Re-encode the image into every variant as JPEG. Orientation from EXIF is applied first;
+// the output carries no metadata, so EXIF (including GPS) is stripped
+const createVariants = async (buffer) => {
+  const variants = {};
+
+  for (const [name, { width, height, fit, blur }] of Object.entries(VARIANTS)) {
+    let image = sharp(buffer).rotate().resize({ width, height, fit, withoutEnlargement: true });
+    if (blur) image = image.blur(blur);
+
+    variants[name] = await image.jpeg({ quality: 82, mozjpeg: true }).toBuffer();
+  }
+
+  return variants;
+};
+
+// Validate an uploaded file and produce its variants. Throws a 400 error for invalid images
+const processImage = async (file) => {
+  await validateImage(file);
+  return createVariants(file.buffer);
+};
+
+module.exports = { MAX_IMAGE_BYTES, processImage };
@@ -0,0 +1,27 @@
+// backend/services/location.js
+
+// Decimal places kept when storing coordinates. 2 places is roughly a 1 km grid
+const LOCATION_PRECISION = parseInt(process.env.LOCATION_PRECISION) || 2;
+
+// Search radius used when the viewer hasn't set maxDistanceKm
+const DEFAULT_RADIUS_KM = parseInt(process.env.DISCOVERY_DEFAULT_RADIUS_KM) || 100;
+
+const roundCoordinate = (value) => {
+  const factor = 10 ** LOCATION_PRECISION;
+  return Math.round(value * factor) / factor;
+};
+
+// GeoJSON point with coarse coordinates. GeoJSON order is [longitude, latitude]
+const toCoarsePoint = (latitude, longitude) => ({
+  type: 'Point',
+  coordinates: [roundCoordinate(longitude), roundCoordinate(latitude)],
+});
+
+// Human friendly approximate distance for profile cards
+const formatDistance = (meters) => {
+  const km = meters / 1000;
+  if (km < 1) return 'Less than 1 km away';
+  return `~${Math.round(km)} km away`;
+};
+
+module.exports = { DEFAULT_RADIUS_KM, toCoarsePoint, formatDistance };
@@ -0,0 +1,76 @@
+// backend/services/mailer.js
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Writes every outgoing mail as a JSON file so local flows can be tested without SMTP
+const createFileTransport = () => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+  return {
+    send: async (mail) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+      await fs.promises.writeFile(path.join(outboxDir, fileName), JSON.stringify(mail, null, 2));
+    },
+  };
+};
+
+const createConsoleTransport = () => ({
+  send: async (mail) => {
+    console.log(`[mail] to=${mail.to} subject="${mail.subject}"\n${mail.text}`);
+  },
+});
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    send: (mail) => transporter.sendMail(mail),
+  };
+};
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let activeTransport = null;
+
+// MAIL_TRANSPORT, or the console outside production. Created on the first send
+const getTransport = () => {
+  if (!activeTransport) {
+    const defaultName = process.env.NODE_ENV === 'production' ? 'smtp' : 'console';
+    const name = process.env.MAIL_TRANSPORT || defaultName;
+    const factory = transports[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+};
+
+// Use another transport, e.g. a mail API client. It needs an async send(mail)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'AmityTinder <no-reply@amitytinder.app>';
+  await getTransport().send({ from, to, subject, text, html });
+};
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,126 @@
+// backend/services/notifications.js
+
+const Notification = require('../models/notification');
+const User = require('../models/user');
+const { emitToUser } = require('./realtime');
+const { getEntitlements, hasFeature } = require('./entitlements');
+
+const PREVIEW_LENGTH = 100;
+
+// Fields of the actor loaded for notifications and shown when the recipient may see who it is
+const ACTOR_FIELDS = 'name profilePicture photos';
+
+// Without the seeWhoLikedYou feature, these don't reveal who sent them
+const LOCKED_TYPES = ['like', 'superLike'];
+
+// Whether the user's plan hides who liked them
+const isLikeSenderHidden = async (userId) => !hasFeature(await getEntitlements(userId), 'seeWhoLikedYou');
+
+// The sender of a like or other notification (loaded with ACTOR_FIELDS) as the recipient may see
+// them. When hidden, the sender is replaced by a blurred picture
+const presentActor = (actor, hidden) => {
+  if (hidden) {
+    const primary = actor && actor.photos && actor.photos[0];
+    return { actor: null, locked: true, blurredPicture: primary ? primary.blurredUrl : '' };
+  }
+
+  return { actor: actor && { _id: actor._id, name: actor.name, profilePicture: actor.profilePicture } };
+};
+
+// Notifications as the recipient may see them (actors populated with ACTOR_FIELDS)
+const presentNotifications = async (userId, notifications) => {
+  const hidden = await isLikeSenderHidden(userId);
+
+  return notifications.map((notification) => {
+    const { actor, ...rest } = notification.toObject ? notification.toObject() : notification;
+    return { ...rest, ...presentActor(actor, hidden && LOCKED_TYPES.includes(rest.type)) };
+  });
+};
+
+// Channels deliver a stored notification outside the feed. A channel is anything with an async
+// deliver(notification), where the notification is as presentNotifications returns it. 'realtime'
+// pushes to the user's open sockets. Push or email channels are added with registerChannel()
+const channels = {
+  realtime: {
+    deliver: async (notification) => emitToUser(notification.user, 'notification:new', notification),
+  },
+};
+
+const registerChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+// Channels named in NOTIFICATION_CHANNELS (comma separated)
+const getActiveChannels = () =>
+  (process.env.NOTIFICATION_CHANNELS || 'realtime')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+const deliver = async (stored) => {
+  await stored.populate('actor', ACTOR_FIELDS);
+  const [notification] = await presentNotifications(stored.user, [stored]);
+
+  for (const name of getActiveChannels()) {
+    const channel = channels[name];
+    if (!channel) {
+      console.error(`Unknown notification channel: ${name}`);
+      continue;
+    }
+
+    try {
+      await channel.deliver(notification);
+    } catch (err) {
+      console.error(`Notification channel ${name} failed:`, err);
+    }
+  }
+};
+
+// Add a notification to the user's feed and hand it to the delivery channels, unless the user
+// has turned that type off. Never throws: a failed notification shouldn't fail the action behind it
+const notify = async (userId, type, { actor = null, chat = null, preview = '' } = {}) => {
+  try {
+    const recipient = await User.findById(userId, 'notificationPreferences');
+    if (!recipient || recipient.notificationPreferences?.[type] === false) return null;
+
+    // Unread messages from the same chat fold into one notification, moved to the top of the feed
+    let count = 1;
+    if (type === 'message') {
+      const previous = await Notification.findOneAndDelete({ user: userId, type, chat, readAt: null });
+      if (previous) count = previous.count + 1;
+    }
+
+    const notification = await Notification.create({
+      user: userId,
+      type,
+      actor,
+      chat,
+      preview: preview.slice(0, PREVIEW_LENGTH),
+      count,
+    });
+
+    await deliver(notification);
+    return notification;
+  } catch (err) {
+    console.error('Error creating notification:', err);
+    return null;
+  }
+};
+
+// Remove a user's notifications about something that was undone (e.g. a rewound like)
+const retractNotifications = (userId, filter) => Notification.deleteMany({ user: userId, ...filter });
+
+// Mark a user's unread notifications matching `filter` as read
+const markNotificationsRead = (userId, filter = {}) =>
+  Notification.updateMany({ user: userId, readAt: null, ...filter }, { $set: { readAt: new Date() } });
+
+module.exports = {
+  ACTOR_FIELDS,
+  notify,
+  isLikeSenderHidden,
+  presentActor,
+  presentNotifications,
+  retractNotifications,
+  markNotificationsRead,
+  registerChannel,
+};
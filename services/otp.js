@@ -0,0 +1,63 @@
+// backend/services/otp.js
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { sendMail } = require('./mailer');
+
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+// Generate a 6-digit numeric code
+const generateOtp = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+// Seconds the user still has to wait before another code can be sent (0 if none)
+const getResendWait = (user) => {
+  if (!user.otpLastSentAt) return 0;
+
+  const elapsed = (Date.now() - new Date(user.otpLastSentAt).getTime()) / 1000;
+  return Math.max(0, Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed));
+};
+
+// Store a fresh hashed code on the user, save it and email the plain code
+const issueOtp = async (user) => {
+  const code = generateOtp();
+
+  user.otp = await bcrypt.hash(code, 10);
+  user.otpExpiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+  user.otpAttempts = 0;
+  user.otpLastSentAt = new Date();
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your AmityTinder verification code',
+    text: `Your verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`,
+  });
+};
+
+// Check a submitted code against the stored hash. Returns { ok, error, status }
+const checkOtp = async (user, code) => {
+  if (!user.otp || !user.otpExpiresAt) {
+    return { ok: false, status: 400, error: 'No verification code has been issued' };
+  }
+
+  if (user.otpAttempts >= OTP_MAX_ATTEMPTS) {
+    return { ok: false, status: 429, error: 'Too many attempts. Please request a new code' };
+  }
+
+  if (new Date(user.otpExpiresAt).getTime() < Date.now()) {
+    return { ok: false, status: 400, error: 'Verification code has expired' };
+  }
+
+  const isMatch = await bcrypt.compare(String(code), user.otp);
+  if (!isMatch) {
+    user.otpAttempts += 1;
+    await user.save();
+    return { ok: false, status: 400, error: 'Invalid verification code' };
+  }
+
+  return { ok: true };
+};
+
+module.exports = { issueOtp, checkOtp, getResendWait };
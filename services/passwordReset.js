@@ -0,0 +1,31 @@
+// backend/services/passwordReset.js
+
+const crypto = require('crypto');
+const { sendMail } = require('./mailer');
+
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// Reset tokens are stored as a SHA-256 hash so a database leak can't be used to take over accounts
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Store a fresh single-use reset token on the user, save it and email the link
+const issueResetToken = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  user.passwordResetToken = hashResetToken(token);
+  user.passwordResetExpiresAt = new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000);
+  await user.save();
+
+  const baseUrl = process.env.PASSWORD_RESET_URL || `${process.env.APP_URL || 'http://localhost:3000'}/reset-password`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your AmityTinder password',
+    text:
+      `Use the link below to reset your password. It expires in ${RESET_TTL_MINUTES} minutes.\n\n` +
+      `${baseUrl}?token=${token}\n\n` +
+      'If you did not ask for a password reset you can ignore this email.',
+  });
+};
+
+module.exports = { issueResetToken, hashResetToken };
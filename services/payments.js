@@ -0,0 +1,72 @@
+// backend/services/payments.js
+
+const crypto = require('crypto');
+
+// A payment provider takes the money for a subscription. Providers implement:
+//   purchase({ userId, plan, amountCents, paymentToken, idempotencyKey }) -> { providerRef },
+//     throwing an error with status 402 when the payment is declined. Repeating a purchase with
+//     the same idempotencyKey must not charge again; it resolves to the first payment
+//   cancel({ providerRef }) -> stops renewal at the provider
+// New providers (e.g. Stripe) can be added with registerProvider()
+
+const declined = (message) => {
+  const err = new Error(message);
+  err.status = 402;
+  return err;
+};
+
+// Accepts every payment without charging anything, for local development and testing.
+// The token 'fake_decline' simulates a declined card
+const createFakeProvider = () => {
+  const payments = new Map(); // idempotencyKey -> providerRef
+
+  return {
+    purchase: async ({ paymentToken, idempotencyKey }) => {
+      if (payments.has(idempotencyKey)) {
+        return { providerRef: payments.get(idempotencyKey) };
+      }
+      if (paymentToken === 'fake_decline') {
+        throw declined('Payment declined');
+      }
+
+      const providerRef = `fake_${crypto.randomBytes(12).toString('hex')}`;
+      payments.set(idempotencyKey, providerRef);
+      return { providerRef };
+    },
+    cancel: async () => {},
+  };
+};
+
+const providers = {
+  fake: createFakeProvider,
+};
+
+const registerProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+let activeProvider = null;
+
+// PAYMENT_PROVIDER, or the fake provider outside production
+const getProviderName = () =>
+  process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? '' : 'fake');
+
+const getProvider = () => {
+  if (!activeProvider) {
+    const name = getProviderName();
+    const factory = providers[name];
+
+    if (!factory) {
+      throw new Error(`Unknown payment provider: ${name || '(none configured)'}`);
+    }
+
+    activeProvider = factory();
+  }
+
+  return activeProvider;
+};
+
+// Whether payments go through the local fake provider
+const isFakeProvider = () => getProviderName() === 'fake';
+
+module.exports = { registerProvider, getProvider, getProviderName, isFakeProvider };
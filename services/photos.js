@@ -0,0 +1,105 @@
+// backend/services/photos.js
+
+const User = require('../models/user');
+const { processImage } = require('./images');
+const { storeImage, deleteImage } = require('./imageStorage');
+
+// Most photos a user can have in their gallery
+const MAX_PHOTOS = parseInt(process.env.MAX_PHOTOS) || 6;
+
+// Validate an uploaded file, resize it and store every size. Resolves to the photo fields
+// ({ url, cardUrl, thumbnailUrl, blurredUrl, storageId, blurredStorageId }); invalid images
+// reject with a 400 error. The blurred preview gets its own storage ID: stored next to the
+// other sizes, its URL would lead straight to the full photo
+const uploadPhoto = async (file) => {
+  const { blurred, ...variants } = await processImage(file);
+  const { storageId, urls } = await storeImage(variants, 'photos');
+
+  let preview;
+  try {
+    preview = await storeImage({ blurred }, 'previews');
+  } catch (err) {
+    await deleteImage(storageId);
+    throw err;
+  }
+
+  return {
+    url: urls.full,
+    cardUrl: urls.card,
+    thumbnailUrl: urls.thumb,
+    blurredUrl: preview.urls.blurred,
+    storageId,
+    blurredStorageId: preview.storageId,
+  };
+};
+
+// Remove the stored images behind a photo. Photos carried over from the single profile
+// picture have no storage ID and are left alone
+const deleteStoredPhoto = async (photo) => {
+  if (!photo) return;
+  await deleteImage(photo.storageId);
+  await deleteImage(photo.blurredStorageId);
+};
+
+// The first photo is the primary one; profilePicture mirrors it for older clients
+const getPrimaryUrl = (photos) => (photos.length ? photos[0].url : '');
+
+// Matches a gallery still at `version`. Users from before versioning have no photosVersion yet
+const versionFilter = (version) => (version ? version : { $in: [0, null] });
+
+// Append a photo unless the gallery is already full. Resolves to the updated user, or null
+// when the gallery is full
+const addPhoto = async (userId, photo) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, [`photos.${MAX_PHOTOS - 1}`]: { $exists: false } },
+    { $push: { photos: photo }, $inc: { photosVersion: 1 } },
+    { new: true, projection: 'photos profilePicture' }
+  );
+  if (!user) return null;
+
+  return syncProfilePicture(user);
+};
+
+// Replace the whole gallery (reorder, new primary) as read at `version` (the user's
+// photosVersion). Resolves to null if the gallery changed since, so nothing is overwritten
+const setPhotos = (userId, photos, version) =>
+  User.findOneAndUpdate(
+    { _id: userId, photosVersion: versionFilter(version) },
+    { $set: { photos, profilePicture: getPrimaryUrl(photos) }, $inc: { photosVersion: 1 } },
+    { new: true, projection: 'photos profilePicture' }
+  );
+
+// Remove one photo, leaving the rest of the gallery as it is. Resolves to { user, photo } with
+// the removed photo, or null if the user has no such photo
+const removePhoto = async (userId, photoId) => {
+  const previous = await User.findOneAndUpdate(
+    { _id: userId, 'photos._id': photoId },
+    { $pull: { photos: { _id: photoId } }, $inc: { photosVersion: 1 } },
+    { projection: 'photos' }
+  );
+  if (!previous) return null;
+
+  const user = await User.findById(userId, 'photos profilePicture');
+  return { user: await syncProfilePicture(user), photo: previous.photos.id(photoId) };
+};
+
+const syncProfilePicture = async (user) => {
+  const primaryUrl = getPrimaryUrl(user.photos);
+  if (user.profilePicture === primaryUrl) return user;
+
+  return User.findByIdAndUpdate(
+    user._id,
+    { $set: { profilePicture: primaryUrl } },
+    { new: true, projection: 'photos profilePicture' }
+  );
+};
+
+module.exports = {
+  MAX_PHOTOS,
+  uploadPhoto,
+  deleteStoredPhoto,
+  addPhoto,
+  setPhotos,
+  removePhoto,
+  syncProfilePicture,
+};
@@ -0,0 +1,105 @@
+// backend/services/profileCatalog.js
+
+const User = require('../models/user');
+
+// Curated options for structured profile details. Users pick from these lists; answers are
+// stored by ID so labels and prompt wording can change without touching user documents
+
+const INTERESTS = [
+  { id: 'hiking', label: 'Hiking', category: 'Outdoors' },
+  { id: 'camping', label: 'Camping', category: 'Outdoors' },
+  { id: 'travel', label: 'Travel', category: 'Outdoors' },
+  { id: 'football', label: 'Football', category: 'Sports' },
+  { id: 'cricket', label: 'Cricket', category: 'Sports' },
+  { id: 'basketball', label: 'Basketball', category: 'Sports' },
+  { id: 'gym', label: 'Gym', category: 'Sports' },
+  { id: 'yoga', label: 'Yoga', category: 'Sports' },
+  { id: 'running', label: 'Running', category: 'Sports' },
+  { id: 'music', label: 'Music', category: 'Arts' },
+  { id: 'concerts', label: 'Concerts', category: 'Arts' },
+  { id: 'dancing', label: 'Dancing', category: 'Arts' },
+  { id: 'photography', label: 'Photography', category: 'Arts' },
+  { id: 'drawing', label: 'Drawing', category: 'Arts' },
+  { id: 'theatre', label: 'Theatre', category: 'Arts' },
+  { id: 'movies', label: 'Movies', category: 'Entertainment' },
+  { id: 'anime', label: 'Anime', category: 'Entertainment' },
+  { id: 'gaming', label: 'Gaming', category: 'Entertainment' },
+  { id: 'reading', label: 'Reading', category: 'Entertainment' },
+  { id: 'podcasts', label: 'Podcasts', category: 'Entertainment' },
+  { id: 'cooking', label: 'Cooking', category: 'Food & Drink' },
+  { id: 'baking', label: 'Baking', category: 'Food & Drink' },
+  { id: 'coffee', label: 'Coffee', category: 'Food & Drink' },
+  { id: 'street-food', label: 'Street food', category: 'Food & Drink' },
+  { id: 'coding', label: 'Coding', category: 'Campus' },
+  { id: 'debating', label: 'Debating', category: 'Campus' },
+  { id: 'startups', label: 'Startups', category: 'Campus' },
+  { id: 'volunteering', label: 'Volunteering', category: 'Campus' },
+  { id: 'fashion', label: 'Fashion', category: 'Lifestyle' },
+  { id: 'pets', label: 'Pets', category: 'Lifestyle' },
+];
+
+const PROMPTS = [
+  { id: 'perfect-sunday', text: 'My perfect Sunday looks like' },
+  { id: 'campus-spot', text: 'My favourite spot on campus is' },
+  { id: 'green-flag', text: 'The biggest green flag is' },
+  { id: 'unpopular-opinion', text: 'My most unpopular opinion' },
+  { id: 'two-truths', text: 'Two truths and a lie' },
+  { id: 'looking-for', text: "I'm looking for someone who" },
+  { id: 'geek-out', text: 'I geek out on' },
+  { id: 'first-date', text: 'The best first date would be' },
+  { id: 'after-graduation', text: 'After graduation I want to' },
+  { id: 'song-on-repeat', text: 'The song I have on repeat' },
+];
+
+// Answers allowed for each lifestyle question, as defined on the User model
+const LIFESTYLE_OPTIONS = Object.fromEntries(
+  ['drinking', 'smoking', 'exercise'].map((field) => [field, User.schema.path(`lifestyle.${field}`).enumValues])
+);
+
+const MAX_INTERESTS = parseInt(process.env.MAX_INTERESTS) || 10;
+const MAX_PROMPTS = 3;
+const MAX_PROMPT_ANSWER_LENGTH = 200;
+const MAX_LANGUAGES = 10;
+
+const INTEREST_IDS = INTERESTS.map((interest) => interest.id);
+const PROMPT_IDS = PROMPTS.map((prompt) => prompt.id);
+
+const getCatalog = () => ({
+  interests: INTERESTS,
+  prompts: PROMPTS,
+  lifestyle: LIFESTYLE_OPTIONS,
+  limits: {
+    interests: MAX_INTERESTS,
+    prompts: MAX_PROMPTS,
+    promptAnswerLength: MAX_PROMPT_ANSWER_LENGTH,
+    languages: MAX_LANGUAGES,
+  },
+});
+
+// Answered prompts with their current wording. Prompts retired from the list are left out
+const describePrompts = (prompts = []) =>
+  prompts
+    .map(({ promptId, answer }) => {
+      const prompt = PROMPTS.find((candidate) => candidate.id === promptId);
+      return prompt ? { promptId, prompt: prompt.text, answer } : null;
+    })
+    .filter(Boolean);
+
+// Interests the candidate has in common with the viewer, in the candidate's order
+const getSharedInterests = (viewerInterests = [], candidateInterests = []) => {
+  const viewerSet = new Set(viewerInterests);
+  return candidateInterests.filter((interest) => viewerSet.has(interest));
+};
+
+module.exports = {
+  INTEREST_IDS,
+  PROMPT_IDS,
+  LIFESTYLE_OPTIONS,
+  MAX_INTERESTS,
+  MAX_PROMPTS,
+  MAX_PROMPT_ANSWER_LENGTH,
+  MAX_LANGUAGES,
+  getCatalog,
+  describePrompts,
+  getSharedInterests,
+};
@@ -0,0 +1,185 @@
+// backend/services/quotas.js
+
+const User = require('../models/user');
+const { getEntitlements } = require('./entitlements');
+
+// Daily allowances, configurable per deployment
+const DAILY_SWIPE_LIMIT = parseInt(process.env.DAILY_SWIPE_LIMIT) || 20;
+const DAILY_SPIN_LIMIT = parseInt(process.env.DAILY_SPIN_LIMIT) || 1;
+const DAILY_REWIND_LIMIT = parseInt(process.env.DAILY_REWIND_LIMIT) || 1;
+const DAILY_SUPER_LIKE_LIMIT = parseInt(process.env.DAILY_SUPER_LIKE_LIMIT) || 1;
+
+// Timezone used for users who haven't set their own
+const DEFAULT_TIMEZONE = process.env.QUOTA_TIMEZONE || 'UTC';
+
+const QUOTA_FIELDS = {
+  swipe: 'swipeLimit',
+  spin: 'spinLimit',
+  rewind: 'rewindLimit',
+  superLike: 'superLikeLimit',
+};
+
+const DAILY_ALLOWANCES = {
+  swipeLimit: DAILY_SWIPE_LIMIT,
+  spinLimit: DAILY_SPIN_LIMIT,
+  rewindLimit: DAILY_REWIND_LIMIT,
+  superLikeLimit: DAILY_SUPER_LIKE_LIMIT,
+};
+
+const QUOTA_PROJECTION = `${Object.values(QUOTA_FIELDS).join(' ')} quotaResetAt timezone`;
+
+const getDailyAllowances = () => ({ ...DAILY_ALLOWANCES });
+
+// Daily allowances including the extras from the user's plan
+const getUserAllowances = (entitlements) => ({
+  ...DAILY_ALLOWANCES,
+  spinLimit: DAILY_ALLOWANCES.spinLimit + (entitlements.features.extraSpins || 0),
+  rewindLimit: DAILY_ALLOWANCES.rewindLimit + (entitlements.features.extraRewinds || 0),
+});
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Minutes the timezone is ahead of UTC at the given instant
+const getOffsetMinutes = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, parseInt(value)])
+  );
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+// The next local midnight in the timezone, as a UTC Date
+const getNextResetAt = (now, timezone) => {
+  const tz = timezone && isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+
+  const offset = getOffsetMinutes(now, tz);
+  const local = new Date(now.getTime() + offset * 60000);
+  const localMidnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + 1);
+
+  // Re-read the offset at midnight itself so DST changes during the day are respected
+  const guess = new Date(localMidnight - offset * 60000);
+  return new Date(localMidnight - getOffsetMinutes(guess, tz) * 60000);
+};
+
+// Refill the user's allowances if their reset time has passed. Balances are set to the current
+// plan's allowances, so extras left over from an expired or downgraded plan don't carry over.
+// Resolves to the up-to-date quota fields
+const refreshQuota = async (userId, entitlements) => {
+  const now = new Date();
+  const user = await User.findById(userId, QUOTA_PROJECTION);
+  if (!user) return null;
+
+  if (user.quotaResetAt && user.quotaResetAt > now) return user;
+
+  const allowances = getUserAllowances(entitlements || (await getEntitlements(userId)));
+
+  // The quotaResetAt condition keeps concurrent requests from refilling twice
+  const refreshed = await User.findOneAndUpdate(
+    { _id: userId, $or: [{ quotaResetAt: null }, { quotaResetAt: { $lte: now } }] },
+    { $set: { ...allowances, quotaResetAt: getNextResetAt(now, user.timezone) } },
+    { new: true, projection: QUOTA_PROJECTION }
+  );
+
+  return refreshed || User.findById(userId, QUOTA_PROJECTION);
+};
+
+// Atomically use one unit of a quota ('swipe', 'spin', 'rewind' or 'superLike').
+// Resolves to { ok, remaining, resetAt }; ok is false once the allowance is used up.
+// Plans with unlimited swipes don't use up swipes; remaining is null for them
+const consumeQuota = async (userId, kind) => {
+  const field = QUOTA_FIELDS[kind];
+  const entitlements = await getEntitlements(userId);
+  const current = await refreshQuota(userId, entitlements);
+  if (!current) return { ok: false, remaining: 0, resetAt: null };
+
+  if (kind === 'swipe' && entitlements.features.unlimitedSwipes) {
+    return { ok: true, remaining: null, resetAt: current.quotaResetAt };
+  }
+
+  const updated = await User.findOneAndUpdate(
+    { _id: userId, [field]: { $gt: 0 } },
+    { $inc: { [field]: -1 } },
+    { new: true, projection: `${field} quotaResetAt` }
+  );
+
+  if (!updated) {
+    return { ok: false, remaining: 0, resetAt: current.quotaResetAt };
+  }
+
+  return { ok: true, remaining: updated[field], resetAt: updated.quotaResetAt };
+};
+
+// Give back a unit taken by consumeQuota when the action didn't go through
+const refundQuota = (userId, kind) =>
+  User.updateOne({ _id: userId }, { $inc: { [QUOTA_FIELDS[kind]]: 1 } });
+
+// Refill on the next request, e.g. after the user's plan changed
+const resetQuotaClock = (userId) => User.updateOne({ _id: userId }, { $set: { quotaResetAt: null } });
+
+// Standard 429 response for an exhausted quota
+const sendQuotaExceeded = (res, kind, resetAt) => {
+  if (resetAt) {
+    res.set('Retry-After', Math.max(0, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000)));
+  }
+
+  return res.status(429).json({
+    error: `Daily ${kind.replace(/([A-Z])/g, ' $1').toLowerCase()} limit reached`, // 'superLike' -> 'super like'
+    code: `${kind.replace(/([A-Z])/g, '_$1').toUpperCase()}_LIMIT_REACHED`,
+    resetAt,
+  });
+};
+
+// Refill every user whose reset time has passed, so stored allowances stay current for users
+// who are not making requests. Runs every `intervalMinutes`; returns the timer
+const startQuotaResetJob = (intervalMinutes = parseInt(process.env.QUOTA_RESET_INTERVAL_MINUTES) || 15) => {
+  const run = async () => {
+    try {
+      const due = User.find({ $or: [{ quotaResetAt: null }, { quotaResetAt: { $lte: new Date() } }] }, '_id').cursor();
+      let refilled = 0;
+
+      for await (const user of due) {
+        await refreshQuota(user._id);
+        refilled += 1;
+      }
+
+      if (refilled) console.log(`Quota reset job refilled ${refilled} users`);
+    } catch (err) {
+      console.error('Quota reset job failed:', err);
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getDailyAllowances,
+  isValidTimezone,
+  getNextResetAt,
+  refreshQuota,
+  consumeQuota,
+  refundQuota,
+  resetQuotaClock,
+  sendQuotaExceeded,
+  startQuotaResetJob,
+};
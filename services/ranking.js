@@ -0,0 +1,126 @@
+// backend/services/ranking.js
+//
+// Scores discovery candidates for a viewer. Everything here is a pure function of its inputs
+// so weights can be tuned and checked without a database.
+
+const { getAge } = require('./discovery');
+
+const DEFAULT_WEIGHTS = {
+  completeness: 0.2, // How filled-in the candidate's profile is
+  activity: 0.25, // How recently the candidate logged in
+  incomingLike: 0.2, // The candidate already liked the viewer
+  preferenceFit: 0.15, // How well the candidate fits the viewer's preferences
+  desirability: 0.2, // Share of right swipes the candidate receives
+  boost: 0.3, // The candidate has an active boost
+};
+
+// Days after which a login counts for half as much
+const ACTIVITY_HALF_LIFE_DAYS = 3;
+
+const PROFILE_FIELDS = ['name', 'dob', 'gender', 'interestedIn', 'bio', 'profilePicture', 'university'];
+
+// Weights from RANKING_WEIGHTS (JSON, partial allowed) on top of the defaults. An invalid
+// value is ignored with a warning, leaving the defaults in place
+const getWeights = (overrides = process.env.RANKING_WEIGHTS) => {
+  if (!overrides) return { ...DEFAULT_WEIGHTS };
+
+  let parsed = overrides;
+  if (typeof overrides === 'string') {
+    try {
+      parsed = JSON.parse(overrides);
+    } catch (err) {
+      console.warn('Ignoring invalid RANKING_WEIGHTS:', err.message);
+      return { ...DEFAULT_WEIGHTS };
+    }
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    console.warn('Ignoring invalid RANKING_WEIGHTS: expected an object of weights');
+    return { ...DEFAULT_WEIGHTS };
+  }
+
+  const weights = { ...DEFAULT_WEIGHTS };
+
+  Object.keys(DEFAULT_WEIGHTS).forEach((key) => {
+    if (typeof parsed[key] === 'number' && parsed[key] >= 0) weights[key] = parsed[key];
+  });
+
+  return weights;
+};
+
+// Read once when the module loads; pass `weights` to override per call
+const CONFIGURED_WEIGHTS = getWeights();
+
+const completenessScore = (candidate) =>
+  PROFILE_FIELDS.filter((field) => Boolean(candidate[field])).length / PROFILE_FIELDS.length;
+
+const activityScore = (candidate, now) => {
+  if (!candidate.lastLogin) return 0;
+
+  const days = Math.max(0, (now - new Date(candidate.lastLogin).getTime()) / (24 * 60 * 60 * 1000));
+  return 0.5 ** (days / ACTIVITY_HALF_LIFE_DAYS);
+};
+
+// Right-swipe share, pulled towards 0.5 while the candidate has few swipes
+const desirabilityScore = (candidate) => {
+  const stats = candidate.swipeStats || {};
+  const likes = stats.likesReceived || 0;
+  const passes = stats.passesReceived || 0;
+  return (likes + 1) / (likes + passes + 2);
+};
+
+// Average of university, age and distance fit, each between 0 and 1
+const preferenceFitScore = (viewer, candidate, now) => {
+  const preferences = viewer.discoveryPreferences || {};
+  const parts = [];
+
+  if (viewer.university) {
+    parts.push(candidate.university === viewer.university ? 1 : 0.5);
+  }
+
+  if (candidate.dob && (preferences.minAge || preferences.maxAge)) {
+    const minAge = preferences.minAge || 18;
+    const maxAge = preferences.maxAge || 100;
+    const middle = (minAge + maxAge) / 2;
+    const halfRange = Math.max((maxAge - minAge) / 2, 1);
+    parts.push(Math.max(0, 1 - Math.abs(getAge(candidate.dob, new Date(now)) - middle) / halfRange));
+  }
+
+  if (typeof candidate.distance === 'number' && preferences.maxDistanceKm) {
+    parts.push(Math.max(0, 1 - candidate.distance / (preferences.maxDistanceKm * 1000)));
+  }
+
+  if (!parts.length) return 0.5;
+  return parts.reduce((sum, part) => sum + part, 0) / parts.length;
+};
+
+// Score a candidate for the viewer. `context.likedViewer` is the set of candidate IDs (strings)
+// who already liked the viewer. Returns the weighted score and its components
+const scoreCandidate = (
+  viewer,
+  candidate,
+  { now = Date.now(), weights = CONFIGURED_WEIGHTS, likedViewer = new Set() } = {}
+) => {
+  const components = {
+    completeness: completenessScore(candidate),
+    activity: activityScore(candidate, now),
+    incomingLike: likedViewer.has(candidate._id.toString()) ? 1 : 0,
+    preferenceFit: preferenceFitScore(viewer, candidate, now),
+    desirability: desirabilityScore(candidate),
+    boost: candidate.boostedUntil && new Date(candidate.boostedUntil).getTime() > now ? 1 : 0,
+  };
+
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+  const score =
+    Object.keys(components).reduce((sum, key) => sum + components[key] * (weights[key] || 0), 0) / totalWeight;
+
+  return { score, components };
+};
+
+// Candidates sorted best first. Ties are broken by ID so the order is deterministic
+const rankCandidates = (viewer, candidates, { weights = CONFIGURED_WEIGHTS, now = Date.now(), ...context } = {}) =>
+  candidates
+    .map((candidate) => ({ candidate, ...scoreCandidate(viewer, candidate, { ...context, weights, now }) }))
+    .sort((a, b) => b.score - a.score || a.candidate._id.toString().localeCompare(b.candidate._id.toString()));
+
+module.exports = { DEFAULT_WEIGHTS, getWeights, scoreCandidate, rankCandidates };
@@ -0,0 +1,113 @@
+// backend/services/realtime.js
+
+const { Server } = require('socket.io');
+const { verifyAccessToken } = require('./tokens');
+
+// Adapters decide how events fan out between server instances. 'memory' is Socket.IO's
+// default single-process adapter. Others are added with registerAdapter()
+const adapters = {
+  memory: () => null,
+  redis: () => {
+    // Optional dependencies, only needed by deployments that pick this adapter
+    let createAdapter;
+    let createClient;
+    try {
+      ({ createAdapter } = require('@socket.io/redis-adapter'));
+      ({ createClient } = require('redis'));
+    } catch (err) {
+      throw new Error(
+        `REALTIME_ADAPTER=redis needs the optional packages @socket.io/redis-adapter and redis (${err.message})`
+      );
+    }
+    if (!process.env.REDIS_URL) {
+      throw new Error('REALTIME_ADAPTER=redis needs REDIS_URL');
+    }
+
+    const pubClient = createClient({ url: process.env.REDIS_URL });
+    const subClient = pubClient.duplicate();
+    // Clients reconnect on their own; without these handlers a dropped connection crashes the process
+    pubClient.on('error', (err) => console.error('Redis pub client error:', err.message));
+    subClient.on('error', (err) => console.error('Redis sub client error:', err.message));
+    pubClient.connect().catch((err) => console.error('Redis pub client failed:', err));
+    subClient.connect().catch((err) => console.error('Redis sub client failed:', err));
+
+    return createAdapter(pubClient, subClient);
+  },
+};
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+const registerAdapter = (name, factory) => {
+  adapters[name] = factory;
+};
+
+// Read the JWT from the handshake: `auth.token`, then the Authorization header
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) return handshake.auth.token;
+  return handshake.headers.authorization?.split(' ')[1];
+};
+
+// Attach Socket.IO to the HTTP server. Every socket joins a private room for its user,
+// so events can be addressed by user ID from anywhere in the app, and one for its session
+// so it can be dropped when the session is revoked
+const initRealtime = (httpServer) => {
+  io = new Server(httpServer, { cors: { origin: '*' } });
+
+  const adapterName = process.env.REALTIME_ADAPTER || 'memory';
+  const adapterFactory = adapters[adapterName];
+  if (!adapterFactory) {
+    throw new Error(`Unknown realtime adapter: ${adapterName}`);
+  }
+
+  const adapter = adapterFactory();
+  if (adapter) io.adapter(adapter);
+
+  // Authenticate with the same access token used for the REST API
+  io.use(async (socket, next) => {
+    const token = getHandshakeToken(socket.handshake);
+    if (!token) {
+      return next(new Error('Unauthorized'));
+    }
+
+    try {
+      socket.user = await verifyAccessToken(token);
+      next();
+    } catch (err) {
+      next(new Error('Invalid token'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    socket.join([userRoom(socket.user.id), sessionRoom(socket.user.sid)]);
+  });
+
+  return io;
+};
+
+// Send an event to every connected socket of the given users. No-op until initRealtime has run
+const emitToUsers = (userIds, event, payload) => {
+  if (!io) return;
+
+  const rooms = [...new Set(userIds.map((id) => userRoom(id.toString())))];
+  if (rooms.length) io.to(rooms).emit(event, payload);
+};
+
+const emitToUser = (userId, event, payload) => emitToUsers([userId], event, payload);
+
+// The token is only checked when a socket connects, so sockets of revoked sessions are closed here.
+// Disconnect every socket of the user, optionally keeping those of one session
+const disconnectUser = (userId, exceptSessionId) => {
+  if (!io) return;
+
+  const sockets = io.in(userRoom(userId.toString()));
+  (exceptSessionId ? sockets.except(sessionRoom(exceptSessionId.toString())) : sockets).disconnectSockets(true);
+};
+
+const disconnectSession = (sessionId) => {
+  if (io) io.in(sessionRoom(sessionId.toString())).disconnectSockets(true);
+};
+
+module.exports = { initRealtime, registerAdapter, emitToUser, emitToUsers, disconnectUser, disconnectSession };
@@ -0,0 +1,48 @@
+// backend/services/spins.js
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const { DISCOVERY_VIEWER_FIELDS, buildDiscoveryFilter } = require('./discovery');
+
+const SPIN_POOL_SIZE = parseInt(process.env.SPIN_POOL_SIZE) || 10;
+const SPIN_TTL_MINUTES = parseInt(process.env.SPIN_TTL_MINUTES) || 10;
+
+const signature = (spinId) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(`spin:${spinId}`).digest('hex');
+
+// Spin IDs handed to clients look like "<spinId>.<hmac>" so they can't be forged or guessed
+const signSpinId = (spinId) => `${spinId}.${signature(spinId)}`;
+
+// Returns the raw spin ID from a signed one, or null if the signature doesn't check out
+const verifySpinId = (signedSpinId) => {
+  const [spinId, sig] = String(signedSpinId).split('.');
+  if (!spinId || !sig || !mongoose.Types.ObjectId.isValid(spinId)) return null;
+
+  const expected = Buffer.from(signature(spinId));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  return spinId;
+};
+
+// Random sample of users eligible to appear on the user's wheel
+const getSpinCandidates = async (userId, size = SPIN_POOL_SIZE) => {
+  const currentUser = await User.findById(userId, DISCOVERY_VIEWER_FIELDS);
+  if (!currentUser) return null;
+
+  const filter = await buildDiscoveryFilter(currentUser);
+
+  return User.aggregate([
+    { $match: filter },
+    { $sample: { size } },
+    { $project: { name: 1, profilePicture: 1, photos: 1, dob: 1, gender: 1 } },
+  ]);
+};
+
+// Pick the winner uniformly at random with a cryptographic RNG
+const pickWinner = (candidates) => candidates[crypto.randomInt(candidates.length)];
+
+const getSpinExpiry = () => new Date(Date.now() + SPIN_TTL_MINUTES * 60 * 1000);
+
+module.exports = { signSpinId, verifySpinId, getSpinCandidates, pickWinner, getSpinExpiry };
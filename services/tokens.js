@@ -0,0 +1,150 @@
+// backend/services/tokens.js
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const User = require('../models/user');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found without scanning
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+
+// Required on use: realtime depends on this module to authenticate sockets
+const realtime = () => require('./realtime');
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Pull device metadata off the request for the sessions list
+const getDeviceInfo = (req) => ({
+  deviceName: (req.body && req.body.deviceName) || '',
+  userAgent: req.headers['user-agent'] || '',
+  ip: req.ip || '',
+});
+
+// Start a new session for the user and return its token pair
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ...getDeviceInfo(req),
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken,
+  };
+};
+
+// Exchange a refresh token for a new token pair. The old refresh token stops working;
+// presenting it again revokes the whole session since it has probably been stolen.
+// Resolves to null when the token can't be used
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (presentedHash === session.previousRefreshTokenHash) {
+    session.revokedAt = new Date();
+    await session.save();
+    realtime().disconnectSession(session._id);
+    return null;
+  }
+
+  if (presentedHash !== session.refreshTokenHash) return null;
+
+  const user = await User.findById(session.user, 'status');
+  if (!user || user.status === 'banned' || user.status === 'deactivated') return null;
+
+  const nextRefreshToken = generateRefreshToken(session._id);
+  session.previousRefreshTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(nextRefreshToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  if (req.headers['user-agent']) session.userAgent = req.headers['user-agent'];
+  if (req.ip) session.ip = req.ip;
+  await session.save();
+
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken: nextRefreshToken,
+  };
+};
+
+// Revoke one of the user's sessions and close its realtime connections. Resolves to the update result
+const revokeSession = async (userId, sessionId) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  realtime().disconnectSession(sessionId);
+  return result;
+};
+
+// Revoke every active session of a user, optionally keeping one (e.g. the current device)
+const revokeAllSessions = async (userId, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date() } });
+
+  realtime().disconnectUser(userId, exceptSessionId);
+  return result;
+};
+
+// Verify the signature and make sure the session behind the token is still active
+// and the account hasn't been banned or deactivated.
+// Throws on any invalid token, resolves to the decoded payload otherwise
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sid) {
+    throw new Error('Token is not bound to a session');
+  }
+
+  const session = await Session.exists({
+    _id: decoded.sid,
+    user: decoded.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!session) {
+    throw new Error('Session has been revoked');
+  }
+
+  const user = await User.findById(decoded.id, 'status');
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.status === 'banned' || user.status === 'deactivated') {
+    const err = new Error(`Account has been ${user.status}`);
+    err.status = 403;
+    throw err;
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+};
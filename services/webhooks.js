@@ -0,0 +1,196 @@
+// backend/services/webhooks.js
+
+const crypto = require('crypto');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { subscribe } = require('./events');
+
+// Delivery settings, configurable per deployment
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+
+// How long a claimed delivery is held before another run may pick it up again
+const CLAIM_SECONDS = Math.ceil(TIMEOUT_MS / 1000) + 30;
+
+// Signatures older than this are rejected by verifySignature
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Personal data in event payloads, only sent to endpoints with `includePersonalData: true`
+const PERSONAL_FIELDS = {
+  'user.registered': ['email', 'username'],
+};
+
+// Endpoints come from WEBHOOK_ENDPOINTS, a JSON list of { url, secret, events, includePersonalData }.
+// Without `events` an endpoint receives every event
+const getEndpoints = () => {
+  if (!process.env.WEBHOOK_ENDPOINTS) return [];
+
+  try {
+    const endpoints = JSON.parse(process.env.WEBHOOK_ENDPOINTS);
+    return (Array.isArray(endpoints) ? endpoints : []).filter((endpoint) => endpoint && endpoint.url && endpoint.secret);
+  } catch (err) {
+    console.error('Ignoring invalid WEBHOOK_ENDPOINTS:', err.message);
+    return [];
+  }
+};
+
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Value of the X-Webhook-Signature header: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+const buildSignatureHeader = (secret, body, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+
+// For receivers: check a signature header against the raw request body
+const verifySignature = (secret, header, body, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) => {
+  const parts = Object.fromEntries(
+    String(header || '')
+      .split(',')
+      .map((part) => part.split('='))
+  );
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const received = Buffer.from(parts.v1);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Seconds to wait before the next attempt: 30s, 1m, 2m, 4m, ... by default
+const getRetryDelaySeconds = (attempts) => RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+
+// Send a delivery once and record the outcome. Failed attempts are retried with backoff
+// until MAX_ATTEMPTS, then the delivery is marked failed
+const attemptDelivery = async (delivery) => {
+  const endpoint = getEndpoints().find((candidate) => candidate.url === delivery.url);
+  const body = JSON.stringify(delivery.payload);
+  const now = new Date();
+
+  let responseStatus = null;
+  let error = '';
+
+  if (!endpoint) {
+    error = 'Endpoint is no longer configured';
+  } else {
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Signature': buildSignatureHeader(endpoint.secret, body),
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+
+      responseStatus = response.status;
+      if (!response.ok) error = `Endpoint responded with ${response.status}`;
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  const attempts = delivery.attempts + 1;
+  const update = { attempts, lastAttemptAt: now, responseStatus, lastError: error };
+
+  if (!error) {
+    update.status = 'succeeded';
+    update.deliveredAt = now;
+  } else if (!endpoint || attempts >= MAX_ATTEMPTS) {
+    update.status = 'failed';
+  } else {
+    update.nextAttemptAt = new Date(now.getTime() + getRetryDelaySeconds(attempts) * 1000);
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+  return update.status || 'pending';
+};
+
+// The event as sent to an endpoint, without personal data unless the endpoint opted in
+const buildPayload = (endpoint, event) => {
+  const fields = PERSONAL_FIELDS[event.type];
+  if (!fields || endpoint.includePersonalData === true) return event;
+
+  const data = { ...event.data };
+  fields.forEach((field) => delete data[field]);
+  return { ...event, data };
+};
+
+// Log a delivery for every endpoint subscribed to the event and make the first attempt
+const enqueueDeliveries = async (event) => {
+  const endpoints = getEndpoints().filter(
+    (endpoint) => !Array.isArray(endpoint.events) || endpoint.events.includes(event.type)
+  );
+
+  await Promise.all(
+    endpoints.map(async (endpoint) => {
+      // Created already claimed so the retry job leaves it to this first attempt
+      const delivery = await WebhookDelivery.create({
+        eventId: event.id,
+        eventType: event.type,
+        url: endpoint.url,
+        payload: buildPayload(endpoint, event),
+        nextAttemptAt: new Date(Date.now() + CLAIM_SECONDS * 1000),
+      });
+
+      await attemptDelivery(delivery);
+    })
+  );
+};
+
+// Claim the next pending delivery that is due, or null when there is none
+const claimDueDelivery = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_SECONDS * 1000) } },
+    { sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Retry every delivery that is due. Resolves to the number of attempts made
+const retryDueDeliveries = async (batchSize = 100) => {
+  let attempted = 0;
+
+  while (attempted < batchSize) {
+    const delivery = await claimDueDelivery();
+    if (!delivery) break;
+
+    await attemptDelivery(delivery);
+    attempted += 1;
+  }
+
+  return attempted;
+};
+
+let retryTimer = null;
+
+// Send every published event to the configured endpoints and retry failed deliveries every
+// `intervalSeconds`. Returns the retry timer
+const startWebhookDelivery = (intervalSeconds = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS) || 15) => {
+  if (retryTimer) return retryTimer;
+
+  subscribe('*', enqueueDeliveries);
+
+  retryTimer = setInterval(async () => {
+    try {
+      await retryDueDeliveries();
+    } catch (err) {
+      console.error('Webhook retry job failed:', err);
+    }
+  }, intervalSeconds * 1000);
+  retryTimer.unref();
+
+  return retryTimer;
+};
+
+module.exports = {
+  buildSignatureHeader,
+  verifySignature,
+  enqueueDeliveries,
+  retryDueDeliveries,
+  startWebhookDelivery,
+};
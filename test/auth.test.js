@@ -0,0 +1,165 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+const { startApp, signToken } = require('./helpers/http');
+const User = require('../models/user');
+const Session = require('../models/session');
+const Subscription = require('../models/subscription');
+const Swipe = require('../models/swipe');
+const authRoutes = require('../routes/auth');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+describe('auth routes', () => {
+  let app;
+  let user;
+  let sessions;
+  let passwordHash;
+
+  before(async () => {
+    app = await startApp('/api/auth', authRoutes);
+    passwordHash = await bcrypt.hash('secret123', 4);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    user = {
+      _id: objectId(),
+      email: 'ana@example.com',
+      username: 'ana',
+      password: passwordHash,
+      status: 'active',
+      isVerified: true,
+      swipeLimit: 20,
+      spinLimit: 1,
+      quotaResetAt: new Date(Date.now() + 60 * 60 * 1000),
+      save: async () => {},
+    };
+    sessions = [];
+
+    mock.method(User, 'findOne', async () => user);
+    mock.method(User, 'findById', async () => user);
+    mock.method(Session.prototype, 'save', async function () {
+      sessions.push(this);
+      return this;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('POST /login', () => {
+    const login = (body) => app.request('POST', '/api/auth/login', { body });
+
+    it('labels the session with the device name', async () => {
+      const res = await login({ email: 'ana@example.com', password: 'secret123', deviceName: '  Ana’s phone ' });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.token);
+      assert.equal(sessions.length, 1);
+      assert.equal(sessions[0].deviceName, 'Ana’s phone');
+    });
+
+    it('rejects deactivated accounts', async () => {
+      user.status = 'deactivated';
+      const res = await login({ email: 'ana@example.com', password: 'secret123' });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, 'Account has been deactivated');
+      assert.equal(sessions.length, 0);
+    });
+
+    it('rejects device names that are too long', async () => {
+      const res = await login({ email: 'ana@example.com', password: 'secret123', deviceName: 'x'.repeat(101) });
+
+      assert.equal(res.status, 400);
+      assert.equal(sessions.length, 0);
+    });
+  });
+
+  describe('POST /rewind', () => {
+    let target;
+    let swipes;
+    let plan;
+
+    const findIn = (docs, id) => docs.find((doc) => doc._id.toString() === id.toString()) || null;
+    const byId = (id) => findIn([user, target], id);
+    const sameValue = (a, b) => (a instanceof Date ? a.getTime() === new Date(b).getTime() : a.toString() === b.toString());
+
+    // Apply the $inc of an update; other operators don't matter to these tests
+    const increment = (doc, update) => {
+      for (const [field, amount] of Object.entries(update.$inc || {})) doc[field] = (doc[field] || 0) + amount;
+      return doc;
+    };
+
+    const swipeLeft = () =>
+      app.request('POST', '/api/auth/swipe', {
+        token: signToken(user._id),
+        body: { targetUserId: target._id.toString(), direction: 'left' },
+      });
+    const rewind = () => app.request('POST', '/api/auth/rewind', { token: signToken(user._id) });
+
+    beforeEach(() => {
+      Object.assign(user, { liked: [], disliked: [], passedAt: {}, matches: [], rewindLimit: 1, superLikeLimit: 1 });
+      target = { _id: objectId(), status: 'active', liked: [], matches: [] };
+      swipes = [];
+      plan = null;
+
+      mock.method(Session, 'exists', async () => ({ _id: objectId() }));
+      User.findById.mock.mockImplementation(async (id) => byId(id));
+      mock.method(User, 'exists', async () => null);
+      mock.method(User, 'findOneAndUpdate', async (filter, update) => increment(byId(filter._id), update));
+      mock.method(User, 'findByIdAndUpdate', async (id, update) => increment(byId(id), update));
+      mock.method(User, 'updateOne', async ({ _id, ...filter }, update) => {
+        const doc = byId(_id);
+        const matched = Object.entries(filter).every(([field, value]) => sameValue(doc[field], value));
+        if (matched) increment(doc, update);
+        return { matchedCount: matched ? 1 : 0 };
+      });
+      mock.method(Subscription, 'findOne', () => ({
+        sort: async () => (plan ? { plan, status: 'active', expiresAt: new Date(Date.now() + 60 * 1000) } : null),
+      }));
+      mock.method(Swipe, 'create', async (fields) => {
+        const swipe = new Swipe(fields).toObject();
+        swipes.push(swipe);
+        return swipe;
+      });
+      mock.method(Swipe, 'findOne', () => ({ sort: async () => swipes.filter((swipe) => !swipe.rewoundAt).pop() || null }));
+      mock.method(Swipe, 'findOneAndUpdate', async (filter, update) => Object.assign(findIn(swipes, filter._id), update.$set));
+    });
+
+    it('gives back a swipe charged to the current quota period', async () => {
+      await swipeLeft();
+      assert.equal(user.swipeLimit, 19);
+
+      const res = await rewind();
+
+      assert.equal(res.status, 200);
+      assert.equal(user.swipeLimit, 20);
+      assert.equal(res.body.rewindLimit, 0);
+    });
+
+    it('does not add to the balance when the plan has unlimited swipes', async () => {
+      plan = 'plus';
+      await swipeLeft();
+      assert.equal(user.swipeLimit, 20);
+      assert.equal(swipes[0].quotaResetAt, null);
+
+      const res = await rewind();
+
+      assert.equal(res.status, 200);
+      assert.equal(user.swipeLimit, 20);
+    });
+
+    it('does not refund a swipe from a period that has since been refilled', async () => {
+      await swipeLeft();
+      user.quotaResetAt = new Date(user.quotaResetAt.getTime() + 24 * 60 * 60 * 1000);
+
+      const res = await rewind();
+
+      assert.equal(res.status, 200);
+      assert.equal(user.swipeLimit, 19);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, signToken } = require('./helpers/http');
+const User = require('../models/user');
+const Session = require('../models/session');
+const Subscription = require('../models/subscription');
+const { getProvider } = require('../services/payments');
+const billingRoutes = require('../routes/billing');
+
+const sameId = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && a.toString() === b.toString();
+
+// Enough of Mongo's query language for the filters used by the billing routes
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    const value = doc[field];
+    if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        if (operator === '$in') return operand.some((candidate) => sameId(candidate, value));
+        if (operator === '$ne') return !sameId(operand, value);
+        if (operator === '$gt') return value > operand;
+        if (operator === '$lt') return value < operand;
+        if (operator === '$lte') return value <= operand;
+        throw new Error(`Unsupported operator ${operator}`);
+      });
+    }
+    return condition === null ? value === null || value === undefined : sameId(condition, value);
+  });
+
+// Resolves like a query and also supports .sort() (picks the latest expiry, as getActiveSubscription does)
+const query = (results) => ({
+  sort: async () => results.sort((a, b) => b.expiresAt - a.expiresAt)[0] || null,
+  then: (resolve, reject) => Promise.resolve(results[0] || null).then(resolve, reject),
+});
+
+describe('billing routes', () => {
+  let app;
+  let user;
+  let subscriptions;
+  const userId = new mongoose.Types.ObjectId();
+
+  const subscribe = (body, key) =>
+    app.request('POST', '/api/billing/subscribe', {
+      token: signToken(userId),
+      body,
+      headers: key ? { 'Idempotency-Key': key } : {},
+    });
+
+  before(async () => {
+    app = await startApp('/api/billing', billingRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    user = { _id: userId, status: 'active', boostCredits: 0, boostedUntil: null, quotaResetAt: new Date() };
+    subscriptions = [];
+
+    const update = (doc, changes) => Object.assign(doc, changes.$set);
+
+    mock.method(Session, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    mock.method(User, 'findById', async () => user);
+    mock.method(User, 'updateOne', async (filter, changes) => {
+      if (changes.$inc) user.boostCredits += changes.$inc.boostCredits;
+      if (changes.$set) Object.assign(user, changes.$set);
+      return { modifiedCount: 1 };
+    });
+
+    mock.method(Subscription, 'create', async (fields) => {
+      const doc = { ...new Subscription(fields).toObject(), createdAt: new Date() };
+      const duplicate = subscriptions.some(
+        (other) =>
+          sameId(other.user, doc.user) &&
+          ((other.status === 'pending' && doc.status === 'pending') ||
+            (doc.idempotencyKey && other.idempotencyKey === doc.idempotencyKey))
+      );
+      if (duplicate) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+      subscriptions.push(doc);
+      return doc;
+    });
+    mock.method(Subscription, 'findOne', (filter) => query(subscriptions.filter((doc) => matches(doc, filter))));
+    mock.method(Subscription, 'findById', async (id) => subscriptions.find((doc) => sameId(doc._id, id)) || null);
+    mock.method(Subscription, 'find', async (filter) => subscriptions.filter((doc) => matches(doc, filter)));
+    mock.method(Subscription, 'findOneAndUpdate', async (filter, changes) => {
+      const doc = subscriptions.find((candidate) => matches(candidate, filter));
+      return doc ? update(doc, changes) : null;
+    });
+    mock.method(Subscription, 'updateOne', async (filter, changes) => {
+      const doc = subscriptions.find((candidate) => matches(candidate, filter));
+      if (doc) update(doc, changes);
+      return { modifiedCount: doc ? 1 : 0 };
+    });
+    mock.method(Subscription, 'updateMany', async (filter, changes) => {
+      const docs = subscriptions.filter((doc) => matches(doc, filter));
+      docs.forEach((doc) => update(doc, changes));
+      return { modifiedCount: docs.length };
+    });
+
+    mock.method(getProvider(), 'purchase');
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('activates the plan, credits its boosts and refills allowances', async () => {
+    const res = await subscribe({ plan: 'gold', paymentToken: 'tok_1' });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.plan, 'gold');
+    assert.equal(res.body.features.seeWhoLikedYou, true);
+    assert.equal(user.boostCredits, 4);
+    assert.equal(user.quotaResetAt, null);
+
+    assert.equal(subscriptions.length, 1);
+    assert.equal(subscriptions[0].status, 'active');
+    assert.match(subscriptions[0].providerRef, /^fake_/);
+  });
+
+  it('records a declined payment as a failed purchase', async () => {
+    const res = await subscribe({ plan: 'plus', paymentToken: 'fake_decline' });
+
+    assert.equal(res.status, 402);
+    assert.equal(res.body.code, 'PAYMENT_DECLINED');
+    assert.equal(subscriptions[0].status, 'failed');
+    assert.equal(user.boostCredits, 0);
+  });
+
+  it('charges once and credits boosts once when a purchase is repeated with the same key', async () => {
+    const first = await subscribe({ plan: 'gold', paymentToken: 'tok_1' }, 'key-1');
+    const second = await subscribe({ plan: 'gold', paymentToken: 'tok_1' }, 'key-1');
+
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 200);
+    assert.equal(getProvider().purchase.mock.callCount(), 1);
+    assert.equal(subscriptions.length, 1);
+    assert.equal(user.boostCredits, 4);
+  });
+
+  it('rejects a second purchase while one is in progress', async () => {
+    subscriptions.push({
+      ...new Subscription({ user: userId, plan: 'plus', provider: 'fake', expiresAt: new Date() }).toObject(),
+      createdAt: new Date(),
+    });
+
+    const res = await subscribe({ plan: 'gold', paymentToken: 'tok_1' });
+
+    assert.equal(res.status, 409);
+    assert.equal(getProvider().purchase.mock.callCount(), 0);
+  });
+
+  it('keeps the purchase pending when activation fails and finishes it on retry without charging again', async () => {
+    const findOneAndUpdate = Subscription.findOneAndUpdate.mock;
+    findOneAndUpdate.mockImplementationOnce(async () => {
+      throw new Error('connection lost');
+    });
+    mock.method(console, 'error', () => {});
+
+    const failed = await subscribe({ plan: 'plus', paymentToken: 'tok_1' }, 'key-2');
+    assert.equal(failed.status, 500);
+    assert.equal(subscriptions[0].status, 'pending');
+    assert.equal(user.boostCredits, 0);
+
+    const retried = await subscribe({ plan: 'plus', paymentToken: 'tok_1' }, 'key-2');
+    assert.equal(retried.status, 201);
+    assert.equal(subscriptions.length, 1);
+    assert.equal(subscriptions[0].status, 'active');
+    assert.equal(user.boostCredits, 1);
+
+    // The provider saw the same idempotency key both times, so the card was charged once
+    const keys = getProvider().purchase.mock.calls.map((call) => call.arguments[0].idempotencyKey);
+    assert.equal(keys.length, 2);
+    assert.equal(keys[0], keys[1]);
+  });
+
+  it('replaces the current subscription', async () => {
+    await subscribe({ plan: 'plus', paymentToken: 'tok_1' });
+    const res = await subscribe({ plan: 'gold', paymentToken: 'tok_2' });
+
+    assert.equal(res.status, 201);
+    assert.deepEqual(
+      subscriptions.map((doc) => [doc.plan, doc.status]),
+      [
+        ['plus', 'expired'],
+        ['gold', 'active'],
+      ]
+    );
+  });
+
+  describe('POST /fake/expire', () => {
+    let nodeEnv;
+
+    beforeEach(() => {
+      nodeEnv = process.env.NODE_ENV;
+    });
+
+    afterEach(() => {
+      process.env.NODE_ENV = nodeEnv;
+    });
+
+    it('ends the subscription with the fake provider', async () => {
+      await subscribe({ plan: 'gold', paymentToken: 'tok_1' });
+      const res = await app.request('POST', '/api/billing/fake/expire', { token: signToken(userId) });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.plan, 'free');
+    });
+
+    it('is not found in production without a payment provider', async () => {
+      process.env.NODE_ENV = 'production';
+      const res = await app.request('POST', '/api/billing/fake/expire', { token: signToken(userId) });
+
+      assert.equal(res.status, 404);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, signToken } = require('./helpers/http');
+const User = require('../models/user');
+const Chat = require('../models/chat');
+const Message = require('../models/message');
+const Session = require('../models/session');
+const Notification = require('../models/notification');
+const chatRoutes = require('../routes/chat');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Route tests for chat membership and match checks. The models are stubbed with an in-memory
+// set of users and one chat, so no database is needed
+describe('chat routes', () => {
+  let app;
+  let users;
+  let chat;
+  let page; // Messages returned by Message.find
+  const alice = objectId();
+  const bob = objectId();
+  const carol = objectId();
+
+  const hasId = (list, id) => list.some((entry) => entry.toString() === id.toString());
+
+  // Supports the filters used by services/blocks and middleware/chatAccess
+  const matchesUser = (filter) => {
+    const user = users[filter._id.toString()];
+    if (!user) return false;
+    if (filter.matches) return hasId(user.matches, filter.matches);
+    if (filter.blocked) return hasId(user.blocked, filter.blocked);
+    return true;
+  };
+
+  const match = (first, second) => {
+    users[first].matches.push(second);
+    users[second].matches.push(first);
+  };
+
+  before(async () => {
+    app = await startApp('/api/chat', chatRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    const newUser = () => ({ status: 'active', matches: [], blocked: [], notificationPreferences: { message: false } });
+    users = { [alice]: newUser(), [bob]: newUser(), [carol]: newUser() };
+    match(alice, bob);
+    chat = new Chat({ participants: [alice, bob] });
+    page = [];
+
+    mock.method(Session, 'exists', async () => ({ _id: objectId() }));
+    mock.method(User, 'findById', async (id) => users[id.toString()] || null);
+    mock.method(User, 'exists', async (filter) =>
+      (filter.$or ? filter.$or.some(matchesUser) : matchesUser(filter)) ? { _id: filter._id } : null
+    );
+    mock.method(User, 'countDocuments', async (filter) => filter.$or.filter(matchesUser).length);
+    mock.method(Chat, 'findById', async (id) => (id.toString() === chat._id.toString() ? chat : null));
+    mock.method(Chat, 'findOne', async () => chat);
+    mock.method(Chat, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Message, 'find', () => ({
+      sort() {
+        return this;
+      },
+      limit() {
+        return this;
+      },
+      populate: async () => page,
+    }));
+    mock.method(Message, 'create', async (fields) => new Message(fields));
+    mock.method(Message, 'exists', async () => ({ _id: objectId() }));
+    mock.method(Message, 'updateMany', async () => ({ modifiedCount: 1 }));
+    mock.method(Message, 'countDocuments', async () => 0);
+    mock.method(Notification, 'updateMany', async () => ({ modifiedCount: 0 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const messagesPath = () => `/api/chat/messages/${chat._id}`;
+  const sendPath = () => `/api/chat/${chat._id}/message`;
+  const readPath = () => `/api/chat/${chat._id}/read`;
+  const readMessagePath = () => `/api/chat/${chat._id}/messages/${objectId()}/read`;
+
+  describe('participant', () => {
+    it('reads messages', async () => {
+      const res = await app.request('GET', messagesPath(), { token: signToken(alice) });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.success, true);
+      assert.equal(res.body.readOnly, false);
+    });
+
+    it("reports read receipts from the viewer's side", async () => {
+      const message = (sender, readBy) => new Message({ chat: chat._id, sender, content: 'Hi', readBy });
+      // Newest first, as the query returns them
+      page = [message(alice, [alice, bob]), message(alice, [alice]), message(bob, [bob, alice]), message(bob, [bob])];
+
+      const res = await app.request('GET', messagesPath(), { token: signToken(alice) });
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.messages.map((entry) => entry.isRead),
+        [false, true, false, true] // Unread incoming, read incoming, unread outgoing, read outgoing
+      );
+    });
+
+    it('sends a message', async () => {
+      const res = await app.request('POST', sendPath(), { token: signToken(alice), body: { content: 'Hi Bob' } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message.content, 'Hi Bob');
+    });
+
+    it('marks a message and the chat as read', async () => {
+      const token = signToken(bob);
+      assert.equal((await app.request('POST', readMessagePath(), { token })).status, 200);
+      assert.equal((await app.request('POST', readPath(), { token, body: {} })).status, 200);
+    });
+
+    it('starts a chat with a match', async () => {
+      const res = await app.request('POST', '/api/chat/start', { token: signToken(alice), body: { targetUserId: bob } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.chat._id, chat._id.toString());
+    });
+  });
+
+  describe('non-participant', () => {
+    it('gets 403 on every chat route', async () => {
+      const token = signToken(carol);
+      const responses = await Promise.all([
+        app.request('GET', messagesPath(), { token }),
+        app.request('POST', sendPath(), { token, body: { content: 'Hello' } }),
+        app.request('POST', readMessagePath(), { token }),
+        app.request('POST', readPath(), { token, body: {} }),
+      ]);
+
+      responses.forEach((res) => {
+        assert.equal(res.status, 403);
+        assert.equal(res.body.success, false);
+      });
+    });
+
+    it('cannot start a chat with someone they are not matched with', async () => {
+      const res = await app.request('POST', '/api/chat/start', { token: signToken(carol), body: { targetUserId: alice } });
+      assert.equal(res.status, 403);
+    });
+
+    it('gets 404 for a chat that does not exist and 400 for a malformed ID', async () => {
+      const token = signToken(alice);
+      assert.equal((await app.request('GET', `/api/chat/messages/${objectId()}`, { token })).status, 404);
+      assert.equal((await app.request('GET', '/api/chat/messages/not-an-id', { token })).status, 400);
+    });
+
+    it('gets 401 without a token', async () => {
+      assert.equal((await app.request('GET', messagesPath())).status, 401);
+    });
+  });
+
+  describe('archived chat', () => {
+    beforeEach(() => {
+      chat.archivedAt = new Date();
+    });
+
+    it('can still be read, marked read-only', async () => {
+      const res = await app.request('GET', messagesPath(), { token: signToken(alice) });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.readOnly, true);
+    });
+
+    it('rejects new messages', async () => {
+      const res = await app.request('POST', sendPath(), { token: signToken(alice), body: { content: 'Still there?' } });
+      assert.equal(res.status, 403);
+      assert.equal(Message.create.mock.callCount(), 0);
+    });
+  });
+
+  describe('unmatched participants', () => {
+    beforeEach(() => {
+      users[alice].matches = [];
+      users[bob].matches = [];
+    });
+
+    it('rejects new messages', async () => {
+      const res = await app.request('POST', sendPath(), { token: signToken(bob), body: { content: 'Hey' } });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('blocked chat', () => {
+    beforeEach(() => {
+      users[bob].blocked.push(alice);
+    });
+
+    it('is hidden from both participants', async () => {
+      for (const user of [alice, bob]) {
+        const token = signToken(user);
+        const responses = await Promise.all([
+          app.request('GET', messagesPath(), { token }),
+          app.request('POST', sendPath(), { token, body: { content: 'Hello' } }),
+          app.request('POST', readPath(), { token, body: {} }),
+        ]);
+
+        responses.forEach((res) => assert.equal(res.status, 404));
+      }
+    });
+
+    it('cannot be started', async () => {
+      const res = await app.request('POST', '/api/chat/start', { token: signToken(alice), body: { targetUserId: bob } });
+      assert.equal(res.status, 404);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Deck = require('../models/deck');
+const { getCurrentDeck } = require('../services/deck');
+
+mongoose.set('bufferCommands', false);
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Resolves to `results`, with the chainable query methods the deck uses
+const query = (results) => ({
+  sort() {
+    return this;
+  },
+  limit() {
+    return this;
+  },
+  lean: async () => results,
+  then: (resolve, reject) => Promise.resolve(results).then(resolve, reject),
+});
+
+describe('getCurrentDeck', () => {
+  let viewer;
+  let nearby;
+  let withoutLocation;
+  let recentlyActiveFilter;
+
+  const candidate = (fields) => ({ _id: objectId(), name: 'Candidate', lastLogin: new Date(), ...fields });
+
+  beforeEach(() => {
+    viewer = {
+      _id: objectId(),
+      gender: 'female',
+      interestedIn: 'male',
+      liked: [],
+      disliked: [],
+      matches: [],
+      unmatched: [],
+      passedAt: new Map(),
+      location: { type: 'Point', coordinates: [-0.12, 51.5] },
+    };
+    nearby = [candidate({ distance: 1200 })];
+    withoutLocation = [candidate({})];
+    recentlyActiveFilter = null;
+
+    mock.method(User, 'findById', async () => ({ blocked: [] }));
+    mock.method(User, 'aggregate', async () => nearby);
+    mock.method(User, 'find', (filter) => {
+      if (filter.blocked || filter.liked) return query([]); // Nobody blocked or liked the viewer
+
+      recentlyActiveFilter = filter;
+      return query(withoutLocation);
+    });
+    mock.method(Deck, 'create', async (fields) => fields);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('adds candidates without a location after the nearby ones', async () => {
+    const deck = await getCurrentDeck(viewer, { rebuild: true });
+
+    const ids = deck.entries.map((entry) => entry.candidate.toString());
+    assert.equal(ids.length, 2);
+    assert.ok(ids.includes(nearby[0]._id.toString()));
+    assert.ok(ids.includes(withoutLocation[0]._id.toString()));
+    assert.equal(recentlyActiveFilter.location, null);
+  });
+
+  it('uses recent activity alone when the viewer has no location', async () => {
+    delete viewer.location;
+
+    const deck = await getCurrentDeck(viewer, { rebuild: true });
+
+    assert.equal(User.aggregate.mock.callCount(), 0);
+    assert.deepEqual(
+      deck.entries.map((entry) => entry.candidate),
+      [withoutLocation[0]._id]
+    );
+    assert.equal(recentlyActiveFilter.location, undefined);
+  });
+});
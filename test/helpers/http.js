@@ -0,0 +1,44 @@
+// backend/test/helpers/http.js
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Tests stub the models they touch; anything that reaches the database fails straight away
+mongoose.set('bufferCommands', false);
+
+// Serve a router on an ephemeral port. Resolves to { request, close }, where
+// request(method, path, { token, body, headers }) resolves to { status, body }
+const startApp = (mountPath, router) =>
+  new Promise((resolve) => {
+    const app = express();
+    app.use(express.json());
+    app.use(mountPath, router);
+
+    const server = app.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      const request = async (method, path, { token, body, headers: extraHeaders = {} } = {}) => {
+        const headers = { 'Content-Type': 'application/json', ...extraHeaders };
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const response = await fetch(`${baseUrl}${path}`, {
+          method,
+          headers,
+          body: body === undefined ? undefined : JSON.stringify(body),
+        });
+
+        return { status: response.status, body: await response.json() };
+      };
+
+      resolve({ request, close: () => new Promise((done) => server.close(done)) });
+    });
+  });
+
+// An access token for the user, bound to a made-up session ID
+const signToken = (userId) =>
+  jwt.sign({ id: userId.toString(), sid: new mongoose.Types.ObjectId().toString() }, process.env.JWT_SECRET);
+
+module.exports = { startApp, signToken };
@@ -0,0 +1,52 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Subscription = require('../models/subscription');
+const { presentNotifications } = require('../services/notifications');
+
+const userId = new mongoose.Types.ObjectId();
+const actor = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Ana',
+  profilePicture: '/uploads/photos/a/full.jpg',
+  photos: [{ url: '/uploads/photos/a/full.jpg', blurredUrl: '/uploads/previews/b/blurred.jpg' }],
+};
+
+const notification = (type) => ({ _id: new mongoose.Types.ObjectId(), user: userId, type, actor, count: 1 });
+
+// The user's current subscription, or null for the free plan
+const subscribe = (plan) =>
+  mock.method(Subscription, 'findOne', () => ({
+    sort: async () => (plan ? { plan, status: 'active', expiresAt: new Date(Date.now() + 60 * 1000) } : null),
+  }));
+
+describe('presentNotifications', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('hides who sent likes from users without seeWhoLikedYou', async () => {
+    subscribe(null);
+    const [like, superLike] = await presentNotifications(userId, [notification('like'), notification('superLike')]);
+
+    for (const presented of [like, superLike]) {
+      assert.equal(presented.actor, null);
+      assert.equal(presented.locked, true);
+      assert.equal(presented.blurredPicture, '/uploads/previews/b/blurred.jpg');
+      assert.ok(!JSON.stringify(presented).includes(actor._id.toString()));
+    }
+  });
+
+  it('shows who sent likes to users with seeWhoLikedYou', async () => {
+    subscribe('gold');
+    const [like] = await presentNotifications(userId, [notification('like')]);
+
+    assert.deepEqual(like.actor, { _id: actor._id, name: 'Ana', profilePicture: actor.profilePicture });
+    assert.equal(like.locked, undefined);
+  });
+
+  it('always shows the actor of matches and messages', async () => {
+    subscribe(null);
+    const presented = await presentNotifications(userId, [notification('match'), notification('message')]);
+
+    presented.forEach((entry) => assert.equal(entry.actor.name, 'Ana'));
+  });
+});
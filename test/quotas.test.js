@@ -0,0 +1,53 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const { getDailyAllowances, refreshQuota } = require('../services/quotas');
+
+mongoose.set('bufferCommands', false);
+
+const entitlements = (features = {}) => ({ plan: 'free', features });
+
+describe('refreshQuota', () => {
+  afterEach(() => mock.restoreAll());
+
+  // A user whose reset time has passed, with the given balances
+  const stubUser = (balances) => {
+    const user = { _id: new mongoose.Types.ObjectId(), quotaResetAt: new Date(Date.now() - 1000), ...balances };
+    mock.method(User, 'findById', async () => user);
+    mock.method(User, 'findOneAndUpdate', async (filter, update) => Object.assign(user, update.$set));
+    return user;
+  };
+
+  it('refills used allowances with the plan extras', async () => {
+    const daily = getDailyAllowances();
+    stubUser({ swipeLimit: 0, spinLimit: 0, rewindLimit: 0, superLikeLimit: 0 });
+
+    const quota = await refreshQuota('user', entitlements({ extraSpins: 2, extraRewinds: 3 }));
+
+    assert.equal(quota.swipeLimit, daily.swipeLimit);
+    assert.equal(quota.spinLimit, daily.spinLimit + 2);
+    assert.equal(quota.rewindLimit, daily.rewindLimit + 3);
+    assert.ok(quota.quotaResetAt > new Date());
+  });
+
+  it('drops extras left over from a plan that has ended', async () => {
+    const daily = getDailyAllowances();
+    stubUser({ swipeLimit: 0, spinLimit: daily.spinLimit + 5, rewindLimit: daily.rewindLimit + 5, superLikeLimit: 0 });
+
+    const quota = await refreshQuota('user', entitlements());
+
+    assert.equal(quota.spinLimit, daily.spinLimit);
+    assert.equal(quota.rewindLimit, daily.rewindLimit);
+  });
+
+  it('leaves balances alone before the reset time', async () => {
+    const user = stubUser({ spinLimit: 7 });
+    user.quotaResetAt = new Date(Date.now() + 60 * 1000);
+
+    const quota = await refreshQuota('user', entitlements());
+
+    assert.equal(quota.spinLimit, 7);
+    assert.equal(User.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { DEFAULT_WEIGHTS, getWeights, scoreCandidate, rankCandidates } = require('../services/ranking');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 0, 15);
+
+const candidate = (fields = {}) => ({ _id: new mongoose.Types.ObjectId(), ...fields });
+
+// Only one component counts, so scores can be compared directly
+const only = (component) => Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map((key) => [key, key === component ? 1 : 0]));
+
+describe('getWeights', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('returns the defaults without overrides', () => {
+    assert.deepEqual(getWeights(''), DEFAULT_WEIGHTS);
+  });
+
+  it('applies partial overrides and ignores unknown or negative weights', () => {
+    const weights = getWeights('{"activity": 1, "completeness": -1, "unknown": 3}');
+    assert.equal(weights.activity, 1);
+    assert.equal(weights.completeness, DEFAULT_WEIGHTS.completeness);
+    assert.equal(weights.unknown, undefined);
+  });
+
+  it('falls back to the defaults with a warning for malformed JSON', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    assert.deepEqual(getWeights('{activity: 1'), DEFAULT_WEIGHTS);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it('falls back to the defaults for JSON that is not an object', () => {
+    mock.method(console, 'warn', () => {});
+    assert.deepEqual(getWeights('null'), DEFAULT_WEIGHTS);
+    assert.deepEqual(getWeights('[1, 2]'), DEFAULT_WEIGHTS);
+  });
+});
+
+describe('scoreCandidate', () => {
+  it('scores recent activity higher, halving every three days', () => {
+    const weights = only('activity');
+    const today = scoreCandidate({}, candidate({ lastLogin: new Date(NOW) }), { now: NOW, weights });
+    const threeDaysAgo = scoreCandidate({}, candidate({ lastLogin: new Date(NOW - 3 * DAY) }), { now: NOW, weights });
+
+    assert.equal(today.score, 1);
+    assert.equal(threeDaysAgo.score, 0.5);
+  });
+
+  it('scores candidates who already liked the viewer', () => {
+    const liker = candidate();
+    const { components } = scoreCandidate({}, liker, { now: NOW, likedViewer: new Set([liker._id.toString()]) });
+    assert.equal(components.incomingLike, 1);
+  });
+
+  it('scores an active boost only until it ends', () => {
+    const boosted = candidate({ boostedUntil: new Date(NOW + 60 * 1000) });
+    const expired = candidate({ boostedUntil: new Date(NOW - 60 * 1000) });
+
+    assert.equal(scoreCandidate({}, boosted, { now: NOW }).components.boost, 1);
+    assert.equal(scoreCandidate({}, expired, { now: NOW }).components.boost, 0);
+  });
+
+  it('pulls desirability towards 0.5 for candidates with few swipes', () => {
+    const { components } = scoreCandidate({}, candidate({ swipeStats: { likesReceived: 1, passesReceived: 0 } }), {
+      now: NOW,
+    });
+    assert.equal(components.desirability, 2 / 3);
+  });
+});
+
+describe('rankCandidates', () => {
+  it('orders candidates by score with the given weights', () => {
+    const weights = only('completeness');
+    const full = candidate({ name: 'A', dob: new Date(2000, 0, 1), gender: 'Female', bio: 'Hi', university: 'X' });
+    const empty = candidate();
+
+    const ranked = rankCandidates({}, [empty, full], { now: NOW, weights });
+    assert.deepEqual(
+      ranked.map((entry) => entry.candidate),
+      [full, empty]
+    );
+  });
+
+  it('breaks ties by ID so the order is deterministic', () => {
+    const [first, second] = [candidate(), candidate()].sort((a, b) => a._id.toString().localeCompare(b._id.toString()));
+    const ranked = rankCandidates({}, [second, first], { now: NOW, weights: only('completeness') });
+
+    assert.deepEqual(
+      ranked.map((entry) => entry.candidate),
+      [first, second]
+    );
+  });
+});
@@ -0,0 +1,215 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Read when the module loads
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_SECONDS = '30';
+process.env.WEBHOOK_TIMEOUT_MS = '2000';
+
+const mongoose = require('mongoose');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { buildSignatureHeader, verifySignature, enqueueDeliveries, retryDueDeliveries } = require('../services/webhooks');
+
+mongoose.set('bufferCommands', false);
+
+const SECRET = 'test-secret';
+
+const event = (type = 'match.created', data = { userIds: ['a', 'b'] }) => ({
+  id: `evt_${Math.random().toString(36).slice(2)}`,
+  type,
+  occurredAt: new Date().toISOString(),
+  data,
+});
+
+// Deliveries delivered to an in-process HTTP stand-in, with the delivery log kept in memory
+describe('webhook delivery', () => {
+  let server;
+  let url;
+  let received;
+  let respondWith; // Status code the stand-in answers with
+  let deliveries;
+
+  const apply = (delivery, update) => Object.assign(delivery, update.$set);
+
+  // Pretend time has passed so every pending delivery is due
+  const makeDue = () =>
+    deliveries.forEach((delivery) => {
+      delivery.nextAttemptAt = new Date(Date.now() - 1000);
+    });
+
+  const configure = (endpoints) => {
+    process.env.WEBHOOK_ENDPOINTS = JSON.stringify(endpoints);
+  };
+
+  before(
+    () =>
+      new Promise((resolve) => {
+        server = http.createServer((req, res) => {
+          const chunks = [];
+          req.on('data', (chunk) => chunks.push(chunk));
+          req.on('end', () => {
+            const body = Buffer.concat(chunks).toString();
+            received.push({ path: req.url, headers: req.headers, body, payload: JSON.parse(body) });
+            res.writeHead(respondWith).end();
+          });
+        });
+        server.listen(0, '127.0.0.1', () => {
+          url = `http://127.0.0.1:${server.address().port}`;
+          resolve();
+        });
+      })
+  );
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+    respondWith = 200;
+    deliveries = [];
+    configure([{ url: `${url}/hooks`, secret: SECRET }]);
+
+    mock.method(WebhookDelivery, 'create', async (fields) => {
+      const delivery = new WebhookDelivery(fields).toObject();
+      deliveries.push(delivery);
+      return delivery;
+    });
+    mock.method(WebhookDelivery, 'updateOne', async (filter, update) => {
+      const delivery = deliveries.find((candidate) => candidate._id.equals(filter._id));
+      apply(delivery, update);
+      return { modifiedCount: 1 };
+    });
+    mock.method(WebhookDelivery, 'findOneAndUpdate', async (filter, update) => {
+      const [delivery] = deliveries
+        .filter((candidate) => candidate.status === 'pending' && candidate.nextAttemptAt <= filter.nextAttemptAt.$lte)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+      if (!delivery) return null;
+
+      const before = { ...delivery };
+      apply(delivery, update);
+      return before;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.WEBHOOK_ENDPOINTS;
+  });
+
+  it('signs the payload so the receiver can verify it', async () => {
+    const sent = event();
+    await enqueueDeliveries(sent);
+
+    assert.equal(received.length, 1);
+    const [request] = received;
+    assert.equal(request.path, '/hooks');
+    assert.equal(request.headers['x-webhook-id'], sent.id);
+    assert.equal(request.headers['x-webhook-event'], 'match.created');
+    assert.ok(verifySignature(SECRET, request.headers['x-webhook-signature'], request.body));
+    assert.ok(!verifySignature('other-secret', request.headers['x-webhook-signature'], request.body));
+    assert.deepEqual(request.payload, sent);
+
+    assert.equal(deliveries[0].status, 'succeeded');
+    assert.equal(deliveries[0].attempts, 1);
+    assert.ok(deliveries[0].deliveredAt);
+  });
+
+  it('rejects tampered bodies and stale signatures', () => {
+    const body = JSON.stringify(event());
+    const header = buildSignatureHeader(SECRET, body);
+    const stale = buildSignatureHeader(SECRET, body, Math.floor(Date.now() / 1000) - 3600);
+
+    assert.ok(!verifySignature(SECRET, header, body.replace('match', 'hatch')));
+    assert.ok(!verifySignature(SECRET, stale, body));
+  });
+
+  it('only delivers events an endpoint subscribed to', async () => {
+    configure([
+      { url: `${url}/matches`, secret: SECRET, events: ['match.created'] },
+      { url: `${url}/messages`, secret: SECRET, events: ['message.sent'] },
+    ]);
+
+    await enqueueDeliveries(event('match.created'));
+
+    assert.deepEqual(
+      received.map((request) => request.path),
+      ['/matches']
+    );
+  });
+
+  it('retries failed deliveries with exponential backoff', async () => {
+    respondWith = 500;
+    const start = Date.now();
+    await enqueueDeliveries(event());
+
+    const [delivery] = deliveries;
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.responseStatus, 500);
+    assert.equal(delivery.lastError, 'Endpoint responded with 500');
+    const firstDelay = delivery.nextAttemptAt - start;
+    assert.ok(firstDelay >= 30 * 1000 && firstDelay < 35 * 1000);
+
+    // Not due yet
+    assert.equal(await retryDueDeliveries(), 0);
+
+    makeDue();
+    const retryStart = Date.now();
+    assert.equal(await retryDueDeliveries(), 1);
+    assert.equal(delivery.attempts, 2);
+    const secondDelay = delivery.nextAttemptAt - retryStart;
+    assert.ok(secondDelay >= 60 * 1000 && secondDelay < 65 * 1000);
+
+    respondWith = 204;
+    makeDue();
+    assert.equal(await retryDueDeliveries(), 1);
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(received.length, 3);
+  });
+
+  it('marks a delivery failed after the last attempt', async () => {
+    respondWith = 503;
+    await enqueueDeliveries(event());
+
+    makeDue();
+    await retryDueDeliveries();
+    makeDue();
+    await retryDueDeliveries();
+
+    const [delivery] = deliveries;
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 3);
+
+    // Failed deliveries are never picked up again
+    makeDue();
+    assert.equal(await retryDueDeliveries(), 0);
+    assert.equal(received.length, 3);
+  });
+
+  it('fails deliveries to endpoints that are no longer configured', async () => {
+    respondWith = 500;
+    await enqueueDeliveries(event());
+
+    configure([]);
+    makeDue();
+    await retryDueDeliveries();
+
+    assert.equal(deliveries[0].status, 'failed');
+    assert.equal(deliveries[0].lastError, 'Endpoint is no longer configured');
+    assert.equal(received.length, 1);
+  });
+
+  it('leaves personal data out unless the endpoint opts in', async () => {
+    configure([
+      { url: `${url}/default`, secret: SECRET },
+      { url: `${url}/crm`, secret: SECRET, includePersonalData: true },
+    ]);
+
+    await enqueueDeliveries(event('user.registered', { userId: 'u1', email: 'ana@example.com', username: 'ana1' }));
+
+    const byPath = Object.fromEntries(received.map((request) => [request.path, request.payload.data]));
+    assert.deepEqual(byPath['/default'], { userId: 'u1' });
+    assert.deepEqual(byPath['/crm'], { userId: 'u1', email: 'ana@example.com', username: 'ana1' });
+  });
+});